@@ -1,6 +1,8 @@
 /* globals Swal, initMap, setLandGeoJson, setTapMode, setBoatFromGPS,
-           setStartBoat, addWaypoint, undoWaypoint, clearWaypoints,
-           computeRouteAndWind, player, ensureGribLoaded */
+           setStartBoat, removeStartBoat, setWaypoints, clearWaypoints, editHistory,
+           computeRouteAndWind, player, ensureGribLoaded, forceReloadGrib, windLayer,
+           currentLayer, weatherTimeline, SESSION_VERSION, restoreSessionPayload, validateSessionPolars,
+           takeSharedPlan, restoreLastRoute, tracker, routeDeviation, gribRunWatch */
 
 const geoFile = "geo/land_polygons.geojson";
 
@@ -19,7 +21,11 @@ const REQ = {
 window.apiUrl = apiUrl;
 window.REQ = REQ;
 
-/** @type {AppState} */
+/**
+ * New fields: add a rule in SESSION_RULES (session.js), and a migration
+ * with a SESSION_VERSION bump when the stored shape changes.
+ * @type {AppState}
+ */
 window.appState = {
   apiUrl,
   boat: { lat: null, lon: null },
@@ -33,7 +39,10 @@ window.appState = {
   forbid: false,
   withWaves: false,
   withCurrent: false,
+  isoc: false,
   onlyUV: true,
+  windMode: "barbs",
+  overlay: "none",
   xWind: 1.0,
   maxWind: 100,
   penalty0: 0,
@@ -45,7 +54,9 @@ window.appState = {
   nightEfficiency: 1.0,
   staminaVR: 100,
   initialAmure: 0,
-  coordFormat: "DMS"
+  coordFormat: "DMS",
+  autoRouteMin: 60,
+  autoRouteOnNewRun: true
 };
 
 
@@ -62,8 +73,13 @@ window.appState = {
  * @property {boolean} forbid
  * @property {boolean} withWaves
  * @property {boolean} withCurrent
+ * @property {boolean} isoc - request and display isochrones
  * @property {boolean} onlyUV
+ * @property {"barbs"|"particles"} windMode - wind render mode
+ * @property {"none"|"tws"|"gust"|"waves"} overlay - colored overlay under barbs
  * @property {"DMS"|"DM"|"DD"|"BASIC"} coordFormat
+ * @property {number} autoRouteMin - automatic re-routing period, minutes
+ * @property {boolean} autoRouteOnNewRun - automatic re-routing also when a new GRIB run appears
  */
 
 // ---- localStorage persistence (iOS/Safari friendly) ----
@@ -73,7 +89,7 @@ const STORAGE_KEY = "rcube:session:v1";
 function saveSession(state) {
   try {
     const payload = {
-      version: 1,
+      version: SESSION_VERSION,
       savedAt: Date.now(),
       state
     };
@@ -85,24 +101,20 @@ function saveSession(state) {
   }
 }
 
-function loadSession() {
+/**
+ * Read stored session, migrate it to SESSION_VERSION and validate every field (see session.js).
+ *
+ * @param {object} fallback - appState defaults used for missing or invalid fields
+ * @returns {{state:object|null, warnings:string[]}} state null when none stored or rejected
+ */
+function loadSession(fallback) {
   try {
     const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return null;
-
-    const payload = JSON.parse(raw);
-    if (!payload || typeof payload !== "object") return null;
-
-    // If you want to handle future migrations:
-    if (payload.version !== 1) {
-      console.warn("Unknown session version:", payload.version);
-      // return null; or migrate...
-    }
-
-    return payload.state ?? null;
+    if (!raw) return { state: null, warnings: [] };
+    return restoreSessionPayload(JSON.parse(raw), fallback);
   } catch (e) {
     console.warn("loadSession failed:", e);
-    return null;
+    return { state: null, warnings: ["Saved session is unreadable and was ignored."] };
   }
 }
 
@@ -149,7 +161,16 @@ function lockIOSZoomForModal() {
  * @returns {string}
  */
 function nowToDatetimeLocalValue() {
-  const d = new Date();
+  return epochToDatetimeLocalValue(Date.now() / 1000);
+}
+
+/**
+ * Build a datetime-local input value from unix epoch seconds (local time, yyyy-MM-ddThh:mm).
+ * @param {number} epoch
+ * @returns {string}
+ */
+function epochToDatetimeLocalValue(epoch) {
+  const d = new Date(epoch * 1000);
   const pad = (n) => String(n).padStart(2, "0");
   return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
 }
@@ -163,6 +184,21 @@ function datetimeLocalToEpochSeconds(v) {
   return Math.floor(new Date(v).getTime() / 1000);
 }
 
+/**
+ * Read start time input into appState.startEpoch and check that a route can be computed.
+ * @returns {string|null} problem title to display, or null when ready
+ */
+function checkComputeInputs() {
+  const v = document.getElementById("startTime").value;
+  if (!v) return "Missing start date";
+
+  window.appState.startEpoch = datetimeLocalToEpochSeconds(v);
+
+  if (!Number.isFinite(window.appState.boat.lat)) return "Boat position missing";
+  if (window.appState.waypoints.length < 1) return "Waypoints missing";
+  return null;
+}
+
 /* =========================================================
    Settings helpers
    ========================================================= */
@@ -404,6 +440,8 @@ function buildSettingsHtml(polarNames, wavePolarNames) {
   const forbidChecked = window.appState.forbid ? "checked" : "";
   const wavesChecked = window.appState.withWaves ? "checked" : "";
   const currentChecked = window.appState.withCurrent ? "checked" : "";
+  const isocChecked = window.appState.isoc ? "checked" : "";
+  const onlyUVChecked = window.appState.onlyUV ? "checked" : "";
 
   return `
   <div class="settingsBox" style="text-align:left;display:grid;gap:10px;">
@@ -442,6 +480,18 @@ function buildSettingsHtml(polarNames, wavePolarNames) {
         <input id="setCurrent" type="checkbox" ${currentChecked} />
         <b>current</b>
       </label>
+
+      <label style="display:flex; gap:6px; align-items:center;">
+        <input id="setIsoc" type="checkbox" ${isocChecked} />
+        <b>isoc</b>
+      </label>
+    </div>
+
+    <div>
+      <label style="display:flex; gap:6px; align-items:center;">
+        <input id="setOnlyUV" type="checkbox" ${onlyUVChecked} />
+        <b>light GRIB (wind only, no gust/waves)</b>
+      </label>
     </div>
     
     <div>
@@ -460,6 +510,8 @@ function buildSettingsHtml(polarNames, wavePolarNames) {
  *   - Routing time step (in seconds, selected via hours/minutes UI)
  *   - Wind polar file
  *   - Forbid zones flag
+ *   - Isochrones display flag
+ *   - Light GRIB (u/v only); changing it reloads the GRIB
  *
  * Polar files are retrieved dynamically from the server using `REQ.DIR`.
  * If the polar list cannot be loaded, the dialog still opens with the currently
@@ -511,12 +563,15 @@ async function openSettingsDialog() {
         forbid: document.getElementById("setForbid").checked,
         withWaves: document.getElementById("setWaves").checked,
         withCurrent: document.getElementById("setCurrent").checked,
+        isoc: document.getElementById("setIsoc").checked,
+        onlyUV: document.getElementById("setOnlyUV").checked,
         coordFormat: document.getElementById("setCoordFmt").value
       })
     });
     if (result.isDenied) {
       const updated = await expertSettingsDialog(window.appState);
       if (updated) {
+        editHistory.record();
         // Apply expert changes at the same level as appState
         Object.assign(window.appState, updated);
         setStartBoat(appState.boat.lat, appState.boat.lon); 
@@ -527,8 +582,11 @@ async function openSettingsDialog() {
       continue;
     }
     if (result.isConfirmed) {
+      const onlyUVChanged = result.value.onlyUV !== window.appState.onlyUV;
+      editHistory.record();
       Object.assign(window.appState, result.value);
       saveSession (window.appState);
+      if (onlyUVChanged) await reloadWindGrib();
       return; // Exit the whole settings flow
     }
 
@@ -537,6 +595,109 @@ async function openSettingsDialog() {
   }
 }
 
+/**
+ * Reload wind GRIB with current appState.onlyUV (full dump brings gust/waves when available)
+ * and hand it to the wind layer.
+ *
+ * @returns {Promise<void>}
+ */
+async function reloadWindGrib() {
+  Swal.fire({
+    title: "Grib Loading…",
+    didOpen: () => Swal.showLoading(),
+    allowOutsideClick: false,
+    showConfirmButton: false
+  });
+  try {
+    const { meta, field } = await forceReloadGrib(window.appState.model, window.lastGribFile || "", window.appState.onlyUV);
+    windLayer.set(meta, field);
+    weatherTimeline.refresh();
+    windLayer.redraw();
+  } finally {
+    if (Swal.isVisible()) Swal.close();
+  }
+}
+
+/**
+ * Ask which overlay to draw under the wind (none, TWS, gust, waves).
+ * Gust and waves need the full GRIB dump: onlyUV is switched off and the GRIB reloaded if needed.
+ *
+ * @returns {Promise<void>}
+ */
+async function selectOverlay() {
+  const result = await Swal.fire({
+    title: "Overlay",
+    input: "select",
+    inputOptions: { none: "None", tws: "Wind speed", gust: "Gust", waves: "Wave height" },
+    inputValue: windLayer.getOverlay(),
+    showCancelButton: true,
+    confirmButtonText: "Apply"
+  });
+  if (!result.isConfirmed) return;
+
+  const kind = result.value;
+  if (!windLayer.overlayAvailable(kind) && window.appState.onlyUV) {
+    window.appState.onlyUV = false;
+    try {
+      await reloadWindGrib();
+    } catch (e) {
+      window.appState.onlyUV = true;   // the lighter GRIB is still the one in memory
+      throw e;
+    }
+  }
+  if (!windLayer.overlayAvailable(kind)) {
+    saveSession(window.appState);   // onlyUV may have changed with the GRIB in memory
+    await Swal.fire("Not available", `No ${kind} in this GRIB`, "warning");
+    return;
+  }
+  window.appState.overlay = kind;
+  windLayer.setOverlay(kind);
+  saveSession(window.appState);
+}
+
+/**
+ * Show or hide ocean current arrows.
+ * Uses the current GRIB of the last route; without route, the user picks one in "currentgrib".
+ *
+ * @returns {Promise<void>}
+ */
+async function toggleCurrentLayer() {
+  if (currentLayer.isVisible()) {
+    currentLayer.setVisible(false);
+    return;
+  }
+
+  let gribName = window.lastCurrentGribFile || currentLayer.getName();
+  if (!gribName) {
+    const names = await fetchPolarList("currentgrib");
+    if (names.length === 0) return Swal.fire("Warning", "No current grib", "warning");
+    const result = await Swal.fire({
+      title: "Current Grib",
+      input: "select",
+      inputOptions: Object.fromEntries(names.map(n => [n, n])),
+      showCancelButton: true,
+      confirmButtonText: "Show"
+    });
+    if (!result.isConfirmed) return;
+    gribName = result.value;
+  }
+
+  if (gribName !== currentLayer.getName()) {
+    Swal.fire({
+      title: "Current Grib Loading…",
+      didOpen: () => Swal.showLoading(),
+      allowOutsideClick: false,
+      showConfirmButton: false
+    });
+    try {
+      await currentLayer.load(gribName);
+    } finally {
+      if (Swal.isVisible()) Swal.close();
+    }
+  }
+  currentLayer.setVisible(true);
+}
+
 /** 
  * select Action based on menu proposal
  * @param {string} action
@@ -561,6 +722,34 @@ function handleViewMenuAction(action) {
     case 'dumpRoute':
       window.dumpRoute(window.lastRouteData, getDMSType (), 1);
       break;
+    case 'toggleWindMode':
+      window.appState.windMode = (windLayer.getMode() === "particles") ? "barbs" : "particles";
+      windLayer.setMode(window.appState.windMode);
+      saveSession(window.appState);
+      break;
+    case 'toggleCurrent':
+      toggleCurrentLayer().catch(e =>
+        Swal.fire("Current error", e.message || String(e), "error")
+      );
+      break;
+    case 'selectOverlay':
+      selectOverlay().catch(e =>
+        Swal.fire("Overlay error", e.message || String(e), "error")
+      );
+      break;
+    case 'routeMeteogram':
+      window.routeMeteogram.toggle();
+      break;
+    case 'compareModels':
+      window.openCompareDialog().catch(e =>
+        Swal.fire("Compare error", e.message || String(e), "error")
+      );
+      break;
+    case 'autoRoute':
+      window.openAutoRouteDialog().catch(e =>
+        Swal.fire("Auto re-routing error", e.message || String(e), "error")
+      );
+      break;
   }
 }
 
@@ -577,6 +766,7 @@ function handleViewMenuAction(action) {
  * @returns {Promise<void>} Resolves when the modal is closed.
  */
 async function openViewMenu() {
+  const windModeLabel = (windLayer.getMode() === "particles") ? "Wind Barbs" : "Wind Particles";
   const html = `
     <div class="ios-settings" id="iosSettingsMenu">
       <div class="ios-item" data-action="viewPolar">
@@ -597,6 +787,18 @@ async function openViewMenu() {
         <span class="ios-icon">🌀</span><span class="ios-label">Current Grib Meta</span>
       </div>
 
+      <div class="ios-item" data-action="toggleWindMode">
+        <span class="ios-icon">🌬️</span><span class="ios-label">${windModeLabel}</span>
+      </div>
+
+      <div class="ios-item" data-action="selectOverlay">
+        <span class="ios-icon">🌡️</span><span class="ios-label">Overlay…</span>
+      </div>
+
+      <div class="ios-item" data-action="toggleCurrent">
+        <span class="ios-icon">➡️</span><span class="ios-label">${currentLayer.isVisible() ? "Hide" : "Show"} Currents</span>
+      </div>
+
       <div class="ios-separator"></div>
 
       <div class="ios-item" data-action="viewRoute">
@@ -606,6 +808,18 @@ async function openViewMenu() {
       <div class="ios-item" data-action="dumpRoute">
         <span class="ios-icon">📤</span><span class="ios-label">Route Dump</span>
       </div>
+
+      <div class="ios-item" data-action="routeMeteogram">
+        <span class="ios-icon">📊</span><span class="ios-label">${window.routeMeteogram.isVisible() ? "Hide" : "Show"} Route Meteogram</span>
+      </div>
+
+      <div class="ios-item" data-action="compareModels">
+        <span class="ios-icon">⚖️</span><span class="ios-label">Compare Models</span>
+      </div>
+
+      <div class="ios-item" data-action="autoRoute">
+        <span class="ios-icon">🔁</span><span class="ios-label">Auto Re-routing${window.autoRoute.isRunning() ? " (on)" : ""}</span>
+      </div>
     </div>
   `;
 
@@ -636,6 +850,107 @@ async function openViewMenu() {
   });
 }
 
+/**
+ * select Action based on File menu proposal
+ * @param {string} action
+ */
+function handleFileMenuAction(action) {
+  switch (action) {
+    case 'savePlan':
+      window.openSavePlanDialog().catch(e =>
+        Swal.fire("Plan error", e.message || String(e), "error")
+      );
+      break;
+    case 'openPlans':
+      window.openPlansDialog().catch(e =>
+        Swal.fire("Plan error", e.message || String(e), "error")
+      );
+      break;
+    case 'import':
+      window.openImportDialog().catch(e =>
+        Swal.fire("Import error", e.message || String(e), "error")
+      );
+      break;
+    case 'share':
+      window.openShareDialog().catch(e =>
+        Swal.fire("Share error", e.message || String(e), "error")
+      );
+      break;
+    case 'export':
+      window.openExportMenu().catch(e =>
+        Swal.fire("Export error", e.message || String(e), "error")
+      );
+      break;
+    case 'tracks':
+      window.openTracksDialog().catch(e =>
+        Swal.fire("Track error", e.message || String(e), "error")
+      );
+      break;
+  }
+}
+
+/**
+ * Opens the "File" menu (plans, import, export, share, tracks) using SweetAlert2, same layout as the View menu.
+ * Each menu item triggers an action handled by {@link handleFileMenuAction}.
+ *
+ * @async
+ * @function openFileMenu
+ * @returns {Promise<void>} Resolves when the modal is closed.
+ */
+async function openFileMenu() {
+  const html = `
+    <div class="ios-settings" id="iosFileMenu">
+      <div class="ios-item" data-action="savePlan">
+        <span class="ios-icon">💾</span><span class="ios-label">Save Plan…</span>
+      </div>
+
+      <div class="ios-item" data-action="openPlans">
+        <span class="ios-icon">📚</span><span class="ios-label">Plans…</span>
+      </div>
+
+      <div class="ios-separator"></div>
+
+      <div class="ios-item" data-action="import">
+        <span class="ios-icon">📥</span><span class="ios-label">Import GPX/KML/GeoJSON…</span>
+      </div>
+
+      <div class="ios-item" data-action="export">
+        <span class="ios-icon">📤</span><span class="ios-label">Export Route…</span>
+      </div>
+
+      <div class="ios-item" data-action="share">
+        <span class="ios-icon">🔗</span><span class="ios-label">Share Plan Link…</span>
+      </div>
+
+      <div class="ios-separator"></div>
+
+      <div class="ios-item" data-action="tracks">
+        <span class="ios-icon">🛰️</span><span class="ios-label">Recorded Tracks…</span>
+      </div>
+    </div>
+  `;
+
+  await Swal.fire({
+    html,
+    showConfirmButton: false,
+    showCancelButton: true,
+    cancelButtonText: 'Cancel',
+    customClass: { popup: 'ios-popup' },
+
+    didOpen: (popup) => {
+      const menu = popup.querySelector('#iosFileMenu');
+      if (!menu) return;
+
+      menu.addEventListener('click', (e) => {
+        const item = e.target.closest('.ios-item');
+        if (!item) return;
+        Swal.close();
+        handleFileMenuAction(item.dataset.action);
+      });
+    }
+  });
+}
+
 /**
  * Builds the HTML content for the Help dialog.
  *
@@ -802,24 +1117,28 @@ async function openHelpInfo(full = false) {
 }
 
 window.redrawAllWaypoints = function () {
-  // Supprimer tous les markers existants
-  /*for (const m of wpMarkers) {
-    map.removeLayer(m);
-  }
-  wpMarkers.length = 0;
-*/
-  // Recréer les markers depuis l'état
-  for (const wp of appState.waypoints) {
-    addWaypoint(wp.lat, wp.lon);
-  }
+  setWaypoints(appState.waypoints);
 };
 
 
+/**
+ * Register the service worker (sw.js) that precaches the app shell for offline start.
+ * Not available on file:// or plain http (except localhost).
+ *
+ * @returns {void}
+ */
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.register("sw.js")
+    .catch(e => console.warn("Service worker registration failed:", e));
+}
+
 /* =========================================================
    Main
    ========================================================= */
 
 document.addEventListener("DOMContentLoaded", async () => {
+  registerServiceWorker();
   Swal.fire({
     title: "Map Loading…",
     didOpen: () => Swal.showLoading(),
@@ -830,54 +1149,156 @@ document.addEventListener("DOMContentLoaded", async () => {
   await setLandGeoJson(geoFile);
   Swal.update({ title: "Grib Loading…" });
   Swal.showLoading();
-  const saved = loadSession();
+  const defaults = { ...window.appState };
+  const { state: saved, warnings: sessionWarnings } = loadSession(defaults);
   if (saved) {
-    appState = { ...appState, ...saved };
-    setStartBoat(saved.boat.lat, saved.boat.lon); 
-    clearWaypoints (); // yes not elegant. We clear all way points then add all waypoints
-    for (const wp of saved.waypoints) {
-      addWaypoint(wp.lat, wp.lon);
+    appState = saved;
+    if (Number.isFinite(saved.boat.lat)) setStartBoat(saved.boat.lat, saved.boat.lon, saved.boat.tack);
+    setWaypoints(saved.waypoints);
+  }
+  // Shared link (#p=...) wins over the stored session
+  const shared = takeSharedPlan(window.appState);
+  if (shared) {
+    sessionWarnings.push(...shared.warnings);
+    if (shared.state) {
+      appState = shared.state;
+      if (Number.isFinite(appState.boat.lat)) {
+        setStartBoat(appState.boat.lat, appState.boat.lon, appState.boat.tack);
+        map.setView([appState.boat.lat, appState.boat.lon], Math.max(map.getZoom(), 7));
+      } else {
+        removeStartBoat();   // no boat in the link: drop the one of the stored session
+      }
+      setWaypoints(appState.waypoints);
     }
   }
+  // Polar names need the server: checked in the background, never delaying the start
+  const polarCheck = (saved || shared?.state) ? validateSessionPolars(window.appState, defaults) : Promise.resolve([]);
+  windLayer.setMode(window.appState.windMode);
+  windLayer.setOverlay(window.appState.overlay);
   await drawForbidZones();
   // V1.1: preload GRIB once (lighter if onlyUV=true)
   try {
-    await ensureGribLoaded(window.appState.model, "", window.appState.onlyUV);
+    const { meta, field } = await ensureGribLoaded(window.appState.model, "", window.appState.onlyUV);
+    windLayer.set(meta, field);
+    weatherTimeline.refresh();
   } catch (e) {
     console.error(e);
   }
+  // Last route, unless a shared plan replaced boat and waypoints
+  if (!shared?.state) {
+    try {
+      await restoreLastRoute(window.appState);
+    } catch (e) {
+      console.error(e);
+    }
+  }
+  if (window.gribCache.offline) {
+    document.getElementById("status").textContent = `Offline: stored GRIB ${window.gribCache.meta.name}`;
+  }
+  gribRunWatch.start();
+  // Offline start: the stored GRIB may already be older than the server one
+  if (window.gribCache.offline) gribRunWatch.check();
   if (Swal.isVisible()) Swal.close();
+  const warningsShown = sessionWarnings.length > 0
+    ? Swal.fire({
+      title: (saved || shared?.state) ? "Session repaired" : "Session not restored",
+      html: sessionWarnings.map(w => `<div>${esc(w)}</div>`).join(""),
+      icon: "warning"
+    })
+    : Promise.resolve();
+  Promise.all([polarCheck, warningsShown]).then(([polarWarnings]) => {
+    if (polarWarnings.length === 0) return;
+    saveSession(window.appState);
+    // Do not replace a dialog opened in the meantime
+    if (Swal.isVisible()) {
+      document.getElementById("status").textContent = polarWarnings.join(" ");
+      return;
+    }
+    Swal.fire({
+      title: "Session repaired",
+      html: polarWarnings.map(w => `<div>${esc(w)}</div>`).join(""),
+      icon: "warning"
+    });
+  });
 
   const startTime = document.getElementById("startTime");
-  startTime.value = nowToDatetimeLocalValue();
+  startTime.value = (shared?.state && Number.isFinite(appState.startEpoch))
+    ? epochToDatetimeLocalValue(appState.startEpoch)
+    : nowToDatetimeLocalValue();
 
   document.getElementById("btnGps").addEventListener("click", async () => {
+    const snap = editHistory.snapshot();
     try {
-      const pos = await setBoatFromGPS();
-      window.appState.boat = pos;
+      await setBoatFromGPS();
+      editHistory.record(snap);
     } catch (e) {
       Swal.fire("GPS error", e.message || String(e), "error");
     }
   });
 
-  document.getElementById("btnBoatTap").addEventListener("click", () => {
-    setTapMode("boat");
-    document.getElementById("btnBoatTap").classList.add("btnOn");
-    document.getElementById("btnWpTap").classList.remove("btnOn");
+  const setTrackingUi = (on) => {
+    document.getElementById("btnTrack").classList.toggle("btnOn", on);
+    document.getElementById("gpsRow").style.display = on ? "" : "none";
+  };
+  // Also reached when the GPS permission is refused while tracking
+  tracker.onStop(() => {
+    routeDeviation.stop();
+    setTrackingUi(false);
+  });
+  document.getElementById("btnTrack").addEventListener("click", async () => {
+    if (tracker.isRunning()) {
+      tracker.stop();
+      return;
+    }
+    try {
+      await tracker.start();
+    } catch (err) {
+      Swal.fire("GPS error", err.message || String(err), "error");
+    }
+    if (!tracker.isRunning()) return;
+    routeDeviation.start();
+    setTrackingUi(true);
   });
 
-  document.getElementById("btnWpTap").addEventListener("click", () => {
-    setTapMode("wp");
-    document.getElementById("btnWpTap").classList.add("btnOn");
-    document.getElementById("btnBoatTap").classList.remove("btnOn");
+  document.getElementById("gribBadge").addEventListener("click", async () => {
+    try {
+      await gribRunWatch.reloadAndRecompute();
+    } catch (e) {
+      Swal.fire("Grib error", e.message || String(e), "error");
+    }
   });
 
+  document.getElementById("btnRecompute").addEventListener("click", async () => {
+    try {
+      await routeDeviation.recomputeFromGps();
+    } catch (e) {
+      Swal.fire("Compute error", e.message || String(e), "error");
+    }
+  });
+
+  const tapButtons = { boat: "btnBoatTap", wp: "btnWpTap", inspect: "btnInspectTap" };
+  for (const [mode, id] of Object.entries(tapButtons)) {
+    document.getElementById(id).addEventListener("click", () => {
+      setTapMode(mode);
+      for (const other of Object.values(tapButtons)) {
+        document.getElementById(other).classList.toggle("btnOn", other === id);
+      }
+    });
+  }
+
   document.getElementById("btnSettings").addEventListener("click", () => {
     openSettingsDialog().catch(e =>
       Swal.fire("Settings error", e.message || String(e), "error")
     );
   });
 
+  document.getElementById("btnFile").addEventListener("click", () => {
+    openFileMenu().catch(err => {
+      console.error(err);
+      Swal.fire("File error", err.message || String(err), "error");
+    });
+  });
+
   document.getElementById("btnView").addEventListener("click", () => {
     openViewMenu().catch(err => {
       console.error(err);
@@ -892,21 +1313,26 @@ document.addEventListener("DOMContentLoaded", async () => {
     });
   });
 
-  document.getElementById("btnUndoWp").addEventListener("click", undoWaypoint);
-  document.getElementById("btnClearWp").addEventListener("click", clearWaypoints);
-
-  document.getElementById("btnCompute").addEventListener("click", async () => {
-    const v = startTime.value;
-    if (!v) return Swal.fire("Missing start date", "", "warning");
+  document.getElementById("btnUndo").addEventListener("click", () => {
+    editHistory.undo().catch(e => Swal.fire("Undo error", e.message || String(e), "error"));
+  });
+  document.getElementById("btnRedo").addEventListener("click", () => {
+    editHistory.redo().catch(e => Swal.fire("Redo error", e.message || String(e), "error"));
+  });
+  document.getElementById("btnClearWp").addEventListener("click", () => {
+    editHistory.record();
+    clearWaypoints();
+  });
 
-    window.appState.startEpoch = datetimeLocalToEpochSeconds(v);
+  document.getElementById("btnWindow").addEventListener("click", () => {
+    window.openDepartureWindowDialog().catch(e =>
+      Swal.fire("Compute error", e.message || String(e), "error")
+    );
+  });
 
-    if (!Number.isFinite(window.appState.boat.lat)) {
-      return Swal.fire("Boat position missing", "", "warning");
-    }
-    if (window.appState.waypoints.length < 1) {
-      return Swal.fire("Waypoints missing", "", "warning");
-    }
+  document.getElementById("btnCompute").addEventListener("click", async () => {
+    const problem = checkComputeInputs();
+    if (problem) return Swal.fire(problem, "", "warning");
 
     try {
       window.player.gotoBeg (); // force update
@@ -916,12 +1342,20 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   });
 
+  // Weather timeline controls (no route)
+  document.getElementById("btnWeatherPlay").addEventListener("click", weatherTimeline.togglePlay);
+  document.getElementById("weatherSlider").addEventListener("input", (e) => {
+    weatherTimeline.stop();
+    weatherTimeline.setIndex(Number(e.target.value));
+  });
+
   // Player controls
   document.getElementById("btnBeg").addEventListener("click", player.gotoBeg);
   document.getElementById("btnEnd").addEventListener("click", player.gotoEnd);
   document.getElementById("btnPrev").addEventListener("click", () => player.step(-1));
   document.getElementById("btnNext").addEventListener("click", () => player.step(+1));
   document.getElementById("btnPlay").addEventListener("click", player.togglePlay);
+  document.getElementById("btnMeteoClose").addEventListener("click", () => window.routeMeteogram.show(false));
 
   const slider = document.getElementById("routeSlider");
   if (slider) {
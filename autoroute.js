@@ -0,0 +1,291 @@
+/* globals L, Swal, map, appState, tracker, routeDeviation, gribRunWatch, saveSession, dateToStr, esc */
+
+/* =========================================================
+   Automatic re-routing underway, with the history of successive solutions
+   ========================================================= */
+
+const AUTO_ROUTE_TICK_MS = 60 * 1000;        // schedule check period
+const AUTO_ROUTE_HISTORY_MAX = 24;
+const AUTO_ROUTE_HISTORY_KEY = "rcube:autoRoute:v1";
+
+/**
+ * @typedef {Object} AutoRouteSolution
+ * @property {number} computedAt - epoch seconds
+ * @property {string} reason - "timer" or "new run"
+ * @property {string} gribName
+ * @property {number} eta - epoch seconds
+ * @property {number} duration - seconds
+ * @property {number} dist - nm
+ * @property {Array<[number, number]>} latlngs - route polyline, thinned
+ */
+
+/**
+ * Periodic re-routing from the live boat position (GPS fix, tracking required) and the current time.
+ * Runs every `appState.autoRouteMin` minutes and, if `appState.autoRouteOnNewRun`,
+ * as soon as gribRunWatch reports a new run (no polling of its own).
+ * Each solution is kept in a short history (localStorage) to follow how the optimum drifts.
+ */
+window.autoRoute = (function makeAutoRoute() {
+  let timer = null;
+  let busy = false;
+  let lastRunMs = 0;
+  let unsubscribeRun = null;
+  let lastError = "";
+  let historyLayer = null;
+
+  /** @returns {AutoRouteSolution[]} */
+  function readHistory() {
+    try {
+      const list = JSON.parse(localStorage.getItem(AUTO_ROUTE_HISTORY_KEY) || "[]");
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      console.warn("autoRoute: unreadable history", e);
+      return [];
+    }
+  }
+
+  /**
+   * @param {AutoRouteSolution[]} list
+   * @returns {void}
+   */
+  function writeHistory(list) {
+    try {
+      localStorage.setItem(AUTO_ROUTE_HISTORY_KEY, JSON.stringify(list));
+    } catch (e) {
+      console.warn("autoRoute: history not saved", e);
+    }
+  }
+
+  /**
+   * Add the route now displayed to the history.
+   * @param {string} reason
+   * @returns {void}
+   */
+  function pushSolution(reason) {
+    const route = window.lastRoute;
+    if (!route) return;
+    const step = Math.max(1, Math.ceil(route.pts.length / 200));
+    const latlngs = route.pts
+      .filter((p, i) => i % step === 0 || i === route.pts.length - 1)
+      .map(p => [Math.round(p.lat * 1e4) / 1e4, Math.round(p.lon * 1e4) / 1e4]);
+    const list = readHistory();
+    list.push({
+      computedAt: Math.round(Date.now() / 1000),
+      reason,
+      gribName: route.gribName || "",
+      eta: route.totals.eta,
+      duration: route.totals.duration,
+      dist: route.totals.dist,
+      latlngs
+    });
+    writeHistory(list.slice(-AUTO_ROUTE_HISTORY_MAX));
+    if (historyLayer) showHistory(true);
+  }
+
+  /**
+   * One re-routing from the last GPS fix, starting now (passed waypoints dropped).
+   * The boat marker is not a live position (the player moves it), so no fix means no run.
+   * @param {string} reason
+   * @returns {Promise<void>}
+   * @throws {Error} without GPS fix, or on routing errors
+   */
+  async function runNow(reason) {
+    if (busy) return;
+    busy = true;
+    try {
+      if (!tracker.isRunning() || !tracker.getLastFix()) throw new Error("No GPS fix");
+      await routeDeviation.recomputeFromGps({ record: false });
+      lastError = "";
+      pushSolution(reason);
+      gribRunWatch.sync();   // the route may have loaded the new run
+    } catch (e) {
+      lastError = e.message || String(e);
+      throw e;
+    } finally {
+      lastRunMs = Date.now();
+      busy = false;
+    }
+  }
+
+  /**
+   * Run without raising: errors are kept in `lastError` (shown in the dialog), never as popups.
+   * @param {string} reason
+   * @returns {Promise<void>}
+   */
+  async function runQuietly(reason) {
+    try {
+      await runNow(reason);
+    } catch (e) {
+      console.warn("autoRoute:", e);
+    }
+  }
+
+  /**
+   * Timer callback: run when the period elapsed.
+   * @returns {Promise<void>}
+   */
+  async function tick() {
+    if (Date.now() - lastRunMs >= appState.autoRouteMin * 60 * 1000) await runQuietly("timer");
+  }
+
+  /**
+   * gribRunWatch callback.
+   * @returns {Promise<void>}
+   */
+  async function onNewRun() {
+    if (appState.autoRouteOnNewRun) await runQuietly("new run");
+  }
+
+  /**
+   * Start automatic re-routing; the first run happens immediately.
+   * @returns {void}
+   */
+  function start() {
+    if (timer) return;
+    lastRunMs = 0;
+    timer = setInterval(tick, AUTO_ROUTE_TICK_MS);
+    unsubscribeRun = gribRunWatch.onNewRun(onNewRun);
+    tick();
+  }
+
+  /** @returns {void} */
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    if (unsubscribeRun) unsubscribeRun();
+    unsubscribeRun = null;
+  }
+
+  /**
+   * Draw (or hide) earlier solutions as thin lines, older ones lighter.
+   * @param {boolean} on
+   * @returns {void}
+   */
+  function showHistory(on) {
+    if (historyLayer) historyLayer.remove();
+    historyLayer = null;
+    if (!on) return;
+    const list = readHistory();
+    historyLayer = L.layerGroup().addTo(map);
+    list.forEach((s, i) => {
+      L.polyline(s.latlngs, {
+        color: "#0891b2",
+        weight: 2,
+        opacity: 0.25 + 0.6 * (i + 1) / list.length,
+        interactive: false
+      }).addTo(historyLayer);
+    });
+  }
+
+  /** @returns {void} */
+  function clearHistory() {
+    writeHistory([]);
+    showHistory(false);
+  }
+
+  return {
+    start,
+    stop,
+    runNow,
+    isRunning: () => timer !== null,
+    getLastError: () => lastError,
+    readHistory,
+    clearHistory,
+    showHistory,
+    isHistoryShown: () => historyLayer !== null
+  };
+})();
+
+/**
+ * History table: one line per solution with ETA drift from the previous one.
+ * @param {AutoRouteSolution[]} list
+ * @returns {string}
+ */
+function buildAutoRouteHistoryHtml(list) {
+  if (list.length === 0) return `<div style="opacity:.75;">No solution yet.</div>`;
+  const fmtTime = (t) => dateToStr(new Date(t * 1000));
+  const rows = list.map((s, i) => {
+    const drift = i > 0 ? Math.round((s.eta - list[i - 1].eta) / 60) : NaN;
+    return `
+    <tr style="background-color: ${i % 2 === 0 ? '#f9f9f9' : '#ffffff'};">
+      <td>${fmtTime(s.computedAt)}</td>
+      <td>${esc(s.reason)}</td>
+      <td>${fmtTime(s.eta)}</td>
+      <td style="text-align:right;">${Number.isFinite(drift) ? `${drift > 0 ? "+" : ""}${drift} min` : ""}</td>
+      <td style="text-align:right;">${s.dist.toFixed(1)} nm</td>
+    </tr>`;
+  }).reverse().join("");
+  return `
+    <div style="max-height:35vh;overflow:auto;">
+      <table style="border-collapse:collapse;width:100%;font-size:13px;">
+        <thead><tr><th>Computed</th><th>Why</th><th>ETA</th><th>Drift</th><th>Dist</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+}
+
+/**
+ * "Auto re-routing" dialog: period, new run trigger, start/stop, solution history.
+ *
+ * @async
+ * @function openAutoRouteDialog
+ * @returns {Promise<void>}
+ */
+window.openAutoRouteDialog = async function openAutoRouteDialog() {
+  const auto = window.autoRoute;
+  const periods = [15, 30, 60, 120, 180, 360];
+  const running = auto.isRunning();
+  const lastError = auto.getLastError();
+
+  const html = `
+    <div class="settingsBox" style="text-align:left;display:grid;gap:10px;">
+      <div>
+        <label><b>Every</b></label>
+        <select id="autoMin">${periods.map(m =>
+          `<option value="${m}" ${m === appState.autoRouteMin ? "selected" : ""}>${m < 60 ? `${m} min` : `${m / 60} h`}</option>`).join("")}
+        </select>
+      </div>
+      <label style="display:flex; gap:6px; align-items:center;">
+        <input type="checkbox" id="autoNewRun" ${appState.autoRouteOnNewRun ? "checked" : ""}/> <b>Also when a new GRIB run is out</b>
+      </label>
+      <label style="display:flex; gap:6px; align-items:center;">
+        <input type="checkbox" id="autoShowHistory" ${auto.isHistoryShown() ? "checked" : ""}/> <b>Show earlier solutions on map</b>
+      </label>
+      <div style="opacity:.75;">Start: GPS fix (tracking must be on). Time: now.</div>
+      ${lastError ? `<div style="color:#b91c1c;">Last run failed: ${esc(lastError)}</div>` : ""}
+      ${buildAutoRouteHistoryHtml(auto.readHistory())}
+      <div><button type="button" class="btn" id="autoClear">Clear history</button></div>
+    </div>`;
+
+  const result = await Swal.fire({
+    title: `Auto re-routing${running ? " (on)" : ""}`,
+    html,
+    customClass: { popup: "swal-wide" },
+    showCancelButton: true,
+    showDenyButton: running,
+    confirmButtonText: running ? "Apply" : "Start",
+    denyButtonText: "Stop",
+    focusConfirm: false,
+    didOpen: (popup) => {
+      popup.querySelector("#autoShowHistory").addEventListener("change", (e) => auto.showHistory(e.target.checked));
+      popup.querySelector("#autoClear").addEventListener("click", () => {
+        auto.clearHistory();
+        popup.querySelector("#autoShowHistory").checked = false;
+        Swal.close();
+      });
+    },
+    preConfirm: () => ({
+      autoRouteMin: Number(document.getElementById("autoMin").value),
+      autoRouteOnNewRun: document.getElementById("autoNewRun").checked
+    })
+  });
+
+  if (result.isDenied) {
+    auto.stop();
+    return;
+  }
+  if (!result.isConfirmed) return;
+  Object.assign(appState, result.value);
+  saveSession(appState);
+  auto.start();
+};
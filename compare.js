@@ -0,0 +1,182 @@
+/* globals Swal, models, requestRoute, showRoute, setCompareRoutes, clearCompareRoutes,
+           checkComputeInputs, dateToStr, esc */
+
+/* =========================================================
+   Multi-model route comparison
+   Same boat / waypoints / start routed through several models
+   ========================================================= */
+
+/** Polyline color per model. Main route keeps the usual red. */
+const MODEL_COLORS = {
+  GFS: "#2563eb",
+  ECMWF: "#16a34a",
+  ARPEGE: "#9333ea",
+  UCMC: "#ea580c",
+  SYN: "#0891b2"
+};
+const MAIN_ROUTE_COLOR = "#dc2626"; // same as setRoutePolyline()
+
+/**
+ * @typedef {Object} CompareResult
+ * @property {string} model
+ * @property {string} color
+ * @property {any} [json] - raw JSON returned by REQ.ROUTING
+ * @property {RouteData} [route]
+ * @property {string} [error]
+ */
+
+/**
+ * Format a duration in seconds as "1d 03:20" or "03:20".
+ * @param {number} sec
+ * @returns {string}
+ */
+function fmtDuration(sec) {
+  if (!Number.isFinite(sec)) return "—";
+  const pad = (n) => String(n).padStart(2, "0");
+  const m = Math.round(sec / 60);
+  const d = Math.floor(m / 1440);
+  const hh = Math.floor((m % 1440) / 60);
+  const mm = m % 60;
+  return d > 0 ? `${d}d ${pad(hh)}:${pad(mm)}` : `${pad(hh)}:${pad(mm)}`;
+}
+
+/**
+ * Run the same routing request through each model, in parallel.
+ * The route of `state.model` (or the first successful one) becomes the main route
+ * handled by the player; the others are drawn with their own color and their boats
+ * follow the player clock.
+ *
+ * @param {any} state - appState (boat, waypoints, startEpoch, settings)
+ * @param {string[]} modelList
+ * @returns {Promise<CompareResult[]>} one result per model, same order as `modelList`
+ * @throws {Error} when no model gives a route
+ */
+window.compareModels = async function compareModels(state, modelList) {
+  const settled = await Promise.allSettled(modelList.map(model => requestRoute({ ...state, model })));
+
+  /** @type {CompareResult[]} */
+  const results = modelList.map((model, i) => {
+    const s = settled[i];
+    if (s.status === "rejected") {
+      return { model, color: MODEL_COLORS[model], error: s.reason?.message ?? String(s.reason) };
+    }
+    const { json, route } = s.value;
+    return { model, color: MODEL_COLORS[model], json, route };
+  });
+
+  const ok = results.filter(r => r.route);
+  if (ok.length === 0) throw new Error(results.map(r => `${r.model}: ${r.error}`).join("\n"));
+
+  const main = ok.find(r => r.model === state.model) ?? ok[0];
+  const others = ok.filter(r => r !== main);
+  main.color = MAIN_ROUTE_COLOR;
+
+  clearCompareRoutes();
+  await showRoute({ ...state, model: main.model }, main.json, main.route, others.map(r => r.route));
+  setCompareRoutes(others.map(r => ({
+    label: r.model,
+    color: r.color,
+    latlngs: r.route.pts.map(p => [p.lat, p.lon])
+  })));
+
+  return results;
+};
+
+/**
+ * Build summary table: one row per model sorted by ETA, failed models last.
+ * @param {CompareResult[]} results
+ * @returns {string}
+ */
+function buildCompareTableHtml(results) {
+  const sorted = [...results].sort((a, b) =>
+    (a.route?.totals.eta ?? Infinity) - (b.route?.totals.eta ?? Infinity));
+
+  const rows = sorted.map((r, index) => {
+    const swatch = `<span style="display:inline-block;width:12px;height:12px;border-radius:3px;background:${r.color};"></span>`;
+    const totals = r.route?.totals;
+    const cells = totals
+      ? [
+        dateToStr(new Date(totals.eta * 1000)),
+        fmtDuration(totals.duration),
+        totals.dist.toFixed(1),
+        fmtDuration(totals.motorDuration),
+        totals.nTack
+      ]
+      : [`<span style="color:#d00000;">${esc(r.error)}</span>`, "", "", "", ""];
+    return `
+      <tr style="background-color: ${index % 2 === 0 ? '#f9f9f9' : '#ffffff'};">
+        <td style="padding:6px 8px;white-space:nowrap;">${swatch} <b>${r.model}</b></td>
+        ${cells.map(c => `<td style="padding:6px 8px;">${c}</td>`).join("")}
+      </tr>`;
+  }).join("");
+
+  return `
+    <table style="border-collapse:collapse;width:100%;text-align:left;font-size:13px;">
+      <thead>
+        <tr><th>Model</th><th>ETA</th><th>Duration</th><th>Dist (nm)</th><th>Motor time</th><th>Tacks</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+/**
+ * Ask which models to compare.
+ * @returns {Promise<string[]|null>} selected models, or null on cancel
+ */
+async function selectCompareModels() {
+  const defaults = ["GFS", "ECMWF", "ARPEGE"];
+  const html = `
+    <div class="settingsBox" style="text-align:left;display:grid;gap:10px;">
+      ${models.map(m => `
+        <label style="display:flex; gap:6px; align-items:center;">
+          <input type="checkbox" name="cmpModel" value="${m}" ${defaults.includes(m) ? "checked" : ""}/>
+          <span style="display:inline-block;width:12px;height:12px;border-radius:3px;background:${MODEL_COLORS[m]};"></span>
+          <b>${m}</b>
+        </label>`).join("")}
+    </div>`;
+
+  const result = await Swal.fire({
+    title: "Compare models",
+    html,
+    showCancelButton: true,
+    confirmButtonText: "Compute",
+    focusConfirm: false,
+    preConfirm: () => {
+      const checked = [...document.querySelectorAll('input[name="cmpModel"]:checked')].map(el => el.value);
+      if (checked.length < 2) return Swal.showValidationMessage("Select at least two models.");
+      return checked;
+    }
+  });
+  return result.isConfirmed ? result.value : null;
+}
+
+/**
+ * "Compare models" action: select models, compute, then show summary table.
+ *
+ * @async
+ * @function openCompareDialog
+ * @returns {Promise<void>}
+ */
+window.openCompareDialog = async function openCompareDialog() {
+  const problem = checkComputeInputs();
+  if (problem) return Swal.fire(problem, "", "warning");
+
+  const modelList = await selectCompareModels();
+  if (!modelList) return;
+
+  Swal.fire({
+    title: "Computing…",
+    didOpen: () => Swal.showLoading(),
+    allowOutsideClick: false,
+    showConfirmButton: false
+  });
+
+  const results = await window.compareModels(window.appState, modelList);
+
+  await Swal.fire({
+    title: "Model comparison",
+    html: buildCompareTableHtml(results),
+    customClass: { popup: "swal-wide" },
+    confirmButtonText: "OK"
+  });
+};
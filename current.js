@@ -0,0 +1,196 @@
+/* globals L, map, currentCanvas, gribMetaAndLoad, MS_TO_KN */
+
+/**
+ * Ocean current rendering layer (arrows) on its own Leaflet canvas pane.
+ * Independent from the wind layer: own GRIB (loaded from "currentgrib/"), own visibility.
+ * Arrow length and color scale with current speed.
+ * Time follows the same RouteState (or fixed epoch) as the wind layer.
+ */
+window.currentLayer = (function makeCurrentLayer() {
+  /** @type {GribMeta|null} */
+  let gribMeta = null;
+
+  /** @type {GribField|null} */
+  let field = null;
+
+  /** @type {string} name of the loaded current GRIB file */
+  let loadedName = "";
+
+  /** @type {RouteState|null} */
+  let routeState = null;
+
+  /** @type {number|null} displayed epoch when no route is played (weather timeline) */
+  let fixedEpoch = null;
+
+  let visible = false;
+
+  const ARROW_SPACING_PX = 40;  // one arrow per screen cell
+  const MIN_SPEED_KN = 0.05;    // below: nothing drawn
+
+  /**
+   * Load current GRIB (meta + dump) from server directory "currentgrib".
+   * @param {string} gribName - file name, with or without "currentgrib/" prefix
+   * @returns {Promise<void>}
+   * @throws {Error} on HTTP errors or server meta error
+   */
+  async function load(gribName) {
+    // gribLoad() prepends the directory itself
+    const out = await gribMetaAndLoad("currentgrib", null, gribName.replace(/^currentgrib\//, ""), true);
+    if (!out) throw new Error("No current GRIB");
+    gribMeta = out.meta;
+    field = out.field;
+    loadedName = gribName;
+  }
+
+  /** @returns {string} name of the loaded current GRIB, "" if none */
+  function getName() {
+    return loadedName;
+  }
+
+  /**
+   * Update route time state used to choose current time.
+   * @param {RouteState|null} rs
+   * @returns {void}
+   */
+  function setRouteState(rs) {
+    routeState = rs;
+  }
+
+  /**
+   * Show or hide the layer, then redraw.
+   * @param {boolean} on
+   * @returns {void}
+   */
+  function setVisible(on) {
+    visible = !!on;
+    redraw();
+  }
+
+  /** @returns {boolean} */
+  function isVisible() {
+    return visible;
+  }
+
+  /**
+   * Set displayed epoch used when no route state is set.
+   * @param {number|null} epoch - null means GRIB start
+   * @returns {void}
+   */
+  function setEpoch(epoch) {
+    fixedEpoch = epoch;
+  }
+
+  /**
+   * Interpolated value of the drawn GRIB at (lat, lon, epoch).
+   * @param {number} lat
+   * @param {number} lon
+   * @param {number} epoch
+   * @returns {{u:number, v:number, g:number, w:number}|null} null when no GRIB or outside grid
+   */
+  function sampleAt(lat, lon, epoch) {
+    return (field && field.sampleAt) ? field.sampleAt(lat, lon, epoch) : null;
+  }
+
+  /**
+   * Epoch currently displayed: route time when a route is played,
+   * else epoch set by setEpoch(), else GRIB start.
+   * @returns {number}
+   */
+  function getEpoch() {
+    if (routeState) return routeState.t0Epoch + routeState.k * routeState.dtRoute;
+    if (Number.isFinite(fixedEpoch)) return fixedEpoch;
+    return gribMeta ? gribMeta.epochStart : NaN;
+  }
+
+  /**
+   * Whether current layer has everything needed to draw.
+   * @returns {boolean}
+   */
+  function ready() {
+    return !!(map && currentCanvas && gribMeta && field && field.sampleAt);
+  }
+
+  /**
+   * Redraw current arrows for current map viewport.
+   * @returns {void}
+   */
+  function redraw() {
+    if (!map || !currentCanvas) return;
+
+    const mapBounds = map.getBounds();
+    const topLeft = map.latLngToLayerPoint(mapBounds.getNorthWest());
+    const bottomRight = map.latLngToLayerPoint(mapBounds.getSouthEast());
+    const size = bottomRight.subtract(topLeft);
+
+    L.DomUtil.setPosition(currentCanvas, topLeft);
+    currentCanvas.width = Math.max(1, Math.floor(size.x));
+    currentCanvas.height = Math.max(1, Math.floor(size.y));
+    const ctx = currentCanvas.getContext("2d");
+    ctx.clearRect(0, 0, currentCanvas.width, currentCanvas.height);
+
+    if (!visible || !ready()) return;
+
+    const currentEpoch = getEpoch();
+
+    const half = ARROW_SPACING_PX / 2;
+    for (let y = half; y < currentCanvas.height; y += ARROW_SPACING_PX) {
+      for (let x = half; x < currentCanvas.width; x += ARROW_SPACING_PX) {
+        const ll = map.layerPointToLatLng([topLeft.x + x, topLeft.y + y]);
+        const c = field.sampleAt(ll.lat, ll.lng, currentEpoch);
+        if (!c) continue;
+        drawCurrentArrow(ctx, x, y, c.u, c.v);
+      }
+    }
+  }
+
+  /**
+   * Draw an arrow pointing where the current goes, centered on (x, y).
+   * u, v are current components in m/s (u: east-west, v: north-south).
+   *
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} x
+   * @param {number} y
+   * @param {number} u
+   * @param {number} v
+   * @returns {void}
+   */
+  function drawCurrentArrow(ctx, x, y, u, v) {
+    const speedKn = Math.hypot(u, v) * MS_TO_KN;
+    if (!Number.isFinite(speedKn) || speedKn < MIN_SPEED_KN) return;
+
+    // On screen: x right, y down
+    const dirX = u / Math.hypot(u, v);
+    const dirY = -v / Math.hypot(u, v);
+
+    const len = Math.min(ARROW_SPACING_PX - 4, 6 + speedKn * 12);
+    const tailX = x - dirX * len / 2;
+    const tailY = y - dirY * len / 2;
+    const headX = x + dirX * len / 2;
+    const headY = y + dirY * len / 2;
+
+    let color = "#fde68a";                 // < 1 kn
+    if (speedKn >= 2) color = "#ef4444";
+    else if (speedKn >= 1) color = "#f97316";
+
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 2;
+
+    ctx.beginPath();
+    ctx.moveTo(tailX, tailY);
+    ctx.lineTo(headX, headY);
+    ctx.stroke();
+
+    const headLen = 6;
+    const perpX = -dirY;
+    const perpY = dirX;
+    ctx.beginPath();
+    ctx.moveTo(headX, headY);
+    ctx.lineTo(headX - dirX * headLen + perpX * headLen / 2, headY - dirY * headLen + perpY * headLen / 2);
+    ctx.lineTo(headX - dirX * headLen - perpX * headLen / 2, headY - dirY * headLen - perpY * headLen / 2);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  return { load, getName, setRouteState, setEpoch, getEpoch, sampleAt, setVisible, isVisible, redraw };
+})();
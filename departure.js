@@ -0,0 +1,173 @@
+/* globals Swal, Plotly, requestRoute, showRoute, clearCompareRoutes, checkComputeInputs,
+           epochToDatetimeLocalValue, dateToStr */
+
+/* =========================================================
+   Departure-time window optimisation
+   Same route computed for successive start epochs, ETA plotted against departure
+   ========================================================= */
+
+/**
+ * @typedef {Object} DepartureResult
+ * @property {number} startEpoch
+ * @property {any} [json] - raw JSON returned by REQ.ROUTING
+ * @property {RouteData} [route]
+ * @property {string} [error]
+ */
+
+/**
+ * Ask departure window length and step.
+ * @returns {Promise<{hours:number, stepHours:number}|null>} null on cancel
+ */
+async function selectDepartureWindow() {
+  const hoursOptions = [12, 24, 48, 72, 96];
+  const stepOptions = [1, 3, 6, 12];
+
+  const html = `
+    <div class="settingsBox" style="text-align:left;display:grid;gap:10px;">
+      <div>
+        <label><b>Window</b></label>
+        <select id="depHours">${hoursOptions.map(h =>
+          `<option value="${h}" ${h === 48 ? "selected" : ""}>next ${h} h</option>`).join("")}
+        </select>
+      </div>
+      <div>
+        <label><b>Every</b></label>
+        <select id="depStep">${stepOptions.map(h =>
+          `<option value="${h}" ${h === 3 ? "selected" : ""}>${h} h</option>`).join("")}
+        </select>
+      </div>
+    </div>`;
+
+  const result = await Swal.fire({
+    title: "Departure window",
+    html,
+    showCancelButton: true,
+    confirmButtonText: "Compute",
+    focusConfirm: false,
+    preConfirm: () => ({
+      hours: Number(document.getElementById("depHours").value),
+      stepHours: Number(document.getElementById("depStep").value)
+    })
+  });
+  return result.isConfirmed ? result.value : null;
+}
+
+/**
+ * Compute one route per start epoch, one request at a time to spare the server.
+ *
+ * @param {any} state - appState (boat, waypoints, startEpoch, settings)
+ * @param {number[]} startEpochs
+ * @param {(done:number, total:number) => void} [onProgress]
+ * @returns {Promise<DepartureResult[]>} one result per start epoch
+ */
+window.computeDepartureWindow = async function computeDepartureWindow(state, startEpochs, onProgress) {
+  const results = [];
+  for (const startEpoch of startEpochs) {
+    try {
+      const { json, route } = await requestRoute({ ...state, startEpoch });
+      results.push({ startEpoch, json, route });
+    } catch (e) {
+      results.push({ startEpoch, error: e.message || String(e) });
+    }
+    if (onProgress) onProgress(results.length, startEpochs.length);
+  }
+  return results;
+};
+
+/**
+ * Make one departure result the current route and start time.
+ * @param {DepartureResult} r
+ * @returns {Promise<void>}
+ */
+async function loadDepartureResult(r) {
+  window.appState.startEpoch = r.startEpoch;
+  document.getElementById("startTime").value = epochToDatetimeLocalValue(r.startEpoch);
+  clearCompareRoutes();
+  await showRoute(window.appState, r.json, r.route);
+}
+
+/**
+ * Plot ETA against departure time. Clicking a point loads that route into the player.
+ * @param {DepartureResult[]} results
+ * @returns {Promise<void>}
+ */
+async function showDeparturePlot(results) {
+  const ok = results.filter(r => r.route);
+  const nFail = results.length - ok.length;
+  const etaOf = r => r.route.totals.eta;
+  const best = ok.reduce((a, b) => (etaOf(b) < etaOf(a) ? b : a));
+
+  const trace = {
+    x: ok.map(r => new Date(r.startEpoch * 1000)),
+    y: ok.map(r => new Date(etaOf(r) * 1000)),
+    customdata: ok.map((r, i) => i),
+    text: ok.map(r => `${((etaOf(r) - r.startEpoch) / 3600).toFixed(1)} h`),
+    mode: "lines+markers",
+    marker: { size: 10, color: ok.map(r => (r === best ? "#dc2626" : "#2563eb")) },
+    hovertemplate: "Start %{x}<br>ETA %{y}<br>Duration %{text}<extra></extra>"
+  };
+
+  const layout = {
+    margin: { l: 60, r: 10, t: 10, b: 50 },
+    xaxis: { title: "Departure" },
+    yaxis: { title: "ETA" },
+    showlegend: false
+  };
+
+  await Swal.fire({
+    title: `Departure window<br><small>best: ${dateToStr(new Date(best.startEpoch * 1000))}` +
+      `${nFail > 0 ? `, ${nFail} failed` : ""}</small>`,
+    html: `<div id="depPlot" style="width:100%;height:60vh;"></div>`,
+    customClass: { popup: "swal-fullscreen-plot", title: "swal-title-mobile" },
+    confirmButtonText: "Close",
+    heightAuto: false,
+    didOpen: () => {
+      const div = document.getElementById("depPlot");
+      Plotly.newPlot(div, [trace], layout, { displayModeBar: false, responsive: true });
+      div.on("plotly_click", (ev) => {
+        const r = ok[ev.points[0].customdata];
+        Swal.close();
+        loadDepartureResult(r).catch(e =>
+          Swal.fire("Compute error", e.message || String(e), "error")
+        );
+      });
+    },
+    willClose: () => Plotly.purge(document.getElementById("depPlot"))
+  });
+}
+
+/**
+ * "Departure window" action: select window, compute every start, then plot.
+ *
+ * @async
+ * @function openDepartureWindowDialog
+ * @returns {Promise<void>}
+ */
+window.openDepartureWindowDialog = async function openDepartureWindowDialog() {
+  const problem = checkComputeInputs();
+  if (problem) return Swal.fire(problem, "", "warning");
+
+  const choice = await selectDepartureWindow();
+  if (!choice) return;
+
+  const t0 = window.appState.startEpoch;
+  const startEpochs = [];
+  for (let h = 0; h <= choice.hours; h += choice.stepHours) startEpochs.push(t0 + h * 3600);
+
+  Swal.fire({
+    title: "Computing…",
+    didOpen: () => Swal.showLoading(),
+    allowOutsideClick: false,
+    showConfirmButton: false
+  });
+
+  const results = await window.computeDepartureWindow(window.appState, startEpochs, (done, total) => {
+    Swal.update({ title: `Computing ${done}/${total}…` });
+    Swal.showLoading();
+  });
+
+  if (!results.some(r => r.route)) {
+    throw new Error(results.map(r => r.error).find(Boolean) || "No route");
+  }
+  await showDeparturePlot(results);
+};
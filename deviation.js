@@ -0,0 +1,173 @@
+/* globals L, map, appState, tracker, player, editHistory, setStartBoat, setWaypoints,
+           computeRouteAndWind, epochToDatetimeLocalValue */
+
+/* =========================================================
+   Actual vs planned: deviation of the GPS fix from the computed route
+   ========================================================= */
+
+/**
+ * @typedef {Object} RouteDeviation
+ * @property {number} xte - cross-track error, nm, > 0 when the boat is starboard of the route
+ * @property {number} aheadS - seconds ahead of plan (< 0: behind), from the time planned at the nearest route point
+ * @property {number} iSeg - route segment nearest to the fix (pts[iSeg] -> pts[iSeg + 1])
+ * @property {RoutePoint} planned - route point planned at the fix time
+ * @property {number} kNow - index of `planned` in route.pts
+ */
+
+/**
+ * Local flat projection around `lat0`, in nm (good enough at route step scale).
+ * @param {number} lat0
+ * @param {number} lon0
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {[number, number]} [x east, y north]
+ */
+function toLocalNm(lat0, lon0, lat, lon) {
+  const dLon = ((lon - lon0 + 540) % 360) - 180;
+  return [dLon * 60 * Math.cos(lat0 * Math.PI / 180), (lat - lat0) * 60];
+}
+
+/**
+ * Deviation of a position at time `t` from a route.
+ *
+ * @param {RouteData} route
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} t - epoch seconds
+ * @returns {RouteDeviation|null} null when the route has less than 2 points
+ */
+function computeDeviation(route, lat, lon, t) {
+  const pts = route.pts;
+  if (pts.length < 2) return null;
+
+  let best = { dist: Infinity, xte: NaN, iSeg: 0, f: 0 };
+  for (let i = 0; i < pts.length - 1; i++) {
+    const a = pts[i];
+    const [bx, by] = toLocalNm(a.lat, a.lon, pts[i + 1].lat, pts[i + 1].lon);
+    const [px, py] = toLocalNm(a.lat, a.lon, lat, lon);
+    const len2 = bx * bx + by * by;
+    const f = len2 > 0 ? Math.max(0, Math.min(1, (px * bx + py * by) / len2)) : 0;
+    const dist = Math.hypot(px - f * bx, py - f * by);
+    if (dist < best.dist) {
+      // cross product < 0: point on the right of the segment direction
+      const side = (bx * py - by * px) < 0 ? 1 : -1;
+      best = { dist, xte: side * dist, iSeg: i, f };
+    }
+  }
+
+  const a = pts[best.iSeg];
+  const tAlong = a.t + best.f * (pts[best.iSeg + 1].t - a.t);
+  const kNow = Math.max(0, Math.min(pts.length - 1, Math.round((t - route.t0Epoch) / route.dtRoute)));
+  return { xte: best.xte, aheadS: tAlong - t, iSeg: best.iSeg, planned: pts[kNow], kNow };
+}
+
+/**
+ * Live comparison of GPS fixes with the last computed route: fills #navStatus,
+ * shows the planned position, and keeps the player (wind, meteogram) on the current time.
+ */
+window.routeDeviation = (function makeRouteDeviation() {
+  let unsubscribe = null;
+  let plannedMarker = null;
+  /** @type {RouteDeviation|null} */
+  let last = null;
+
+  /**
+   * @param {RouteDeviation|null} dev
+   * @returns {void}
+   */
+  function render(dev) {
+    const el = document.getElementById("navStatus");
+    const btn = document.getElementById("btnRecompute");
+    if (btn) btn.style.display = tracker.getLastFix() ? "" : "none";
+    if (!el) return;
+    if (!dev) {
+      el.textContent = window.lastRoute ? "" : "No route to compare";
+      return;
+    }
+    const xte = `XTE ${Math.abs(dev.xte).toFixed(2)} nm ${dev.xte >= 0 ? "stbd" : "port"}`;
+    const min = Math.round(Math.abs(dev.aheadS) / 60);
+    const ahead = min === 0 ? "on time" : `${min >= 60 ? `${Math.floor(min / 60)}h${String(min % 60).padStart(2, "0")}` : `${min} min`} ${dev.aheadS > 0 ? "ahead" : "behind"}`;
+    const twa = Number.isFinite(dev.planned.twa) ? `${Math.round(Math.abs(dev.planned.twa))}°${dev.planned.twa >= 0 ? "S" : "P"}` : "—";
+    const hdg = Number.isFinite(dev.planned.cog) ? `${Math.round(dev.planned.cog)}°` : "—";
+    el.textContent = `${xte}  ${ahead}  Plan TWA ${twa} HDG ${hdg}`;
+  }
+
+  /**
+   * @param {TrackFix} fix
+   * @returns {void}
+   */
+  function onFix(fix) {
+    const route = window.lastRoute;
+    last = route ? computeDeviation(route, fix.lat, fix.lon, fix.t) : null;
+    if (last) {
+      player.setIndex(last.kNow);
+      const ll = [last.planned.lat, last.planned.lon];
+      if (plannedMarker) plannedMarker.setLatLng(ll);
+      else plannedMarker = L.circleMarker(ll, { radius: 6, color: "#111827", weight: 2, fillOpacity: 0, dashArray: "3 3", interactive: false }).addTo(map);
+    } else if (plannedMarker) {
+      plannedMarker.remove();
+      plannedMarker = null;
+    }
+    render(last);
+  }
+
+  /**
+   * Start comparing (called when tracking starts).
+   * @returns {void}
+   */
+  function start() {
+    if (unsubscribe) return;
+    player.setLive(true);
+    unsubscribe = tracker.onFix(onFix);
+    render(null);
+  }
+
+  /**
+   * Stop comparing and give the boat marker back to the player.
+   * @returns {void}
+   */
+  function stop() {
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+    player.setLive(false);
+    if (plannedMarker) plannedMarker.remove();
+    plannedMarker = null;
+    last = null;
+    const el = document.getElementById("navStatus");
+    if (el) el.textContent = "";
+  }
+
+  /**
+   * Compute a new route from the last GPS fix, starting now.
+   * Waypoints already passed on the current route (before pts[].toIndexWp) are dropped.
+   *
+   * @param {{record?:boolean}} [opts] - record=false for automatic runs (no undo step)
+   * @returns {Promise<void>}
+   * @throws {Error} without GPS fix, or on routing errors
+   */
+  async function recomputeFromGps({ record = true } = {}) {
+    const fix = tracker.getLastFix();
+    if (!fix) throw new Error("No GPS fix yet");
+
+    const route = window.lastRoute;
+    const dev = route ? computeDeviation(route, fix.lat, fix.lon, fix.t) : null;
+    const nextWp = dev ? route.pts[dev.iSeg + 1].toIndexWp : NaN;
+
+    if (record) editHistory.record();
+    const tack = Number.isFinite(appState.boat.tack) ? appState.boat.tack : 0;
+    setStartBoat(fix.lat, fix.lon, tack);
+    if (Number.isInteger(nextWp) && nextWp > 0 && nextWp < appState.waypoints.length) {
+      setWaypoints(appState.waypoints.slice(nextWp));
+    }
+    const now = Math.round(Date.now() / 1000);
+    appState.startEpoch = now;
+    document.getElementById("startTime").value = epochToDatetimeLocalValue(now);
+
+    await computeRouteAndWind(appState);
+    onFix(fix);
+  }
+
+  return { start, stop, recomputeFromGps, getLast: () => last };
+})();
+
+window.computeDeviation = computeDeviation;
@@ -0,0 +1,257 @@
+/* globals Swal, appState */
+
+/* =========================================================
+   Route export (GPX / KML / GeoJSON / CSV), built client side from the parsed route
+   ========================================================= */
+
+/** Per-point attributes written in every format: [RoutePoint key, label, digits] */
+const EXPORT_FIELDS = [
+  ["sog", "SOG kn", 2],
+  ["cog", "COG deg", 0],
+  ["twa", "TWA deg", 0],
+  ["tws", "TWS kn", 1],
+  ["twd", "TWD deg", 0],
+  ["gust", "Gust kn", 1],
+  ["waves", "Waves m", 1],
+  ["currentSpeed", "Current kn", 2],
+  ["currentDir", "Current deg", 0],
+  ["sail", "Sail", 0],
+  ["motor", "Motor", 0]
+];
+
+/**
+ * Escape text for XML.
+ * @param {string} s
+ * @returns {string}
+ */
+function xmlEsc(s) {
+  return String(s).replace(/[<>&'"]/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" }[c]));
+}
+
+/**
+ * Point attribute value for export: numbers rounded, booleans 0/1, "" when missing.
+ * @param {RoutePoint} p
+ * @param {string} key
+ * @param {number} digits
+ * @returns {string|number}
+ */
+function exportValue(p, key, digits) {
+  const v = p[key];
+  if (typeof v === "boolean") return v ? 1 : 0;
+  return Number.isFinite(v) ? Number(v.toFixed(digits)) : "";
+}
+
+/**
+ * One line summary of point attributes, e.g. "SOG kn 7.1, TWS kn 12.3".
+ * @param {RoutePoint} p
+ * @returns {string}
+ */
+function exportDesc(p) {
+  return EXPORT_FIELDS
+    .map(([key, label, digits]) => [label, exportValue(p, key, digits)])
+    .filter(([, v]) => v !== "")
+    .map(([label, v]) => `${label} ${v}`)
+    .join(", ");
+}
+
+/**
+ * Model the route was computed with (server echo), not the model selected now.
+ * @param {RouteData} route
+ * @returns {string}
+ */
+function exportModel(route) {
+  return route.params.model || appState.model;
+}
+
+/**
+ * Route name used in files: model + start date.
+ * @param {RouteData} route
+ * @returns {string}
+ */
+function exportRouteName(route) {
+  return `${exportModel(route)} ${new Date(route.t0Epoch * 1000).toISOString().slice(0, 16).replace("T", " ")}`;
+}
+
+/**
+ * GPX 1.1: waypoints the route was computed with as <wpt>, route as a timestamped track.
+ * @param {RouteData} route
+ * @returns {string}
+ */
+function routeToGpx(route) {
+  const name = xmlEsc(exportRouteName(route));
+  const wpts = (route.waypoints || []).map((wp, i) =>
+    `  <wpt lat="${wp.lat}" lon="${wp.lon}"><name>WP${i + 1}</name></wpt>`).join("\n");
+  const trkpts = route.pts.map(p =>
+    `      <trkpt lat="${p.lat}" lon="${p.lon}"><time>${new Date(p.t * 1000).toISOString()}</time>` +
+    `<desc>${xmlEsc(exportDesc(p))}</desc></trkpt>`).join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="rcube" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${name}</name></metadata>
+${wpts}
+  <trk>
+    <name>${name}</name>
+    <trkseg>
+${trkpts}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+/**
+ * KML 2.2: route LineString + one timestamped Placemark per point with ExtendedData.
+ * @param {RouteData} route
+ * @returns {string}
+ */
+function routeToKml(route) {
+  const name = xmlEsc(exportRouteName(route));
+  const coords = route.pts.map(p => `${p.lon},${p.lat}`).join(" ");
+  const placemarks = route.pts.map((p, k) => {
+    const data = EXPORT_FIELDS
+      .map(([key, label, digits]) => `<Data name="${xmlEsc(label)}"><value>${exportValue(p, key, digits)}</value></Data>`)
+      .join("");
+    return `    <Placemark><name>${k + 1}</name>` +
+      `<TimeStamp><when>${new Date(p.t * 1000).toISOString()}</when></TimeStamp>` +
+      `<ExtendedData>${data}</ExtendedData>` +
+      `<Point><coordinates>${p.lon},${p.lat}</coordinates></Point></Placemark>`;
+  }).join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${name}</name>
+    <Placemark>
+      <name>${name}</name>
+      <Style><LineStyle><color>ff2626dc</color><width>3</width></LineStyle></Style>
+      <LineString><coordinates>${coords}</coordinates></LineString>
+    </Placemark>
+${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * GeoJSON FeatureCollection: route LineString (route totals as properties) + one Point per step.
+ * @param {RouteData} route
+ * @returns {string}
+ */
+function routeToGeoJson(route) {
+  const line = {
+    type: "Feature",
+    geometry: { type: "LineString", coordinates: route.pts.map(p => [p.lon, p.lat]) },
+    properties: { name: exportRouteName(route), model: exportModel(route), polar: route.polar, ...route.totals }
+  };
+  const points = route.pts.map((p, k) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [p.lon, p.lat] },
+    properties: {
+      step: k + 1,
+      time: new Date(p.t * 1000).toISOString(),
+      ...Object.fromEntries(EXPORT_FIELDS.map(([key, , digits]) => [key, exportValue(p, key, digits)]))
+    }
+  }));
+  return JSON.stringify({ type: "FeatureCollection", features: [line, ...points] }, null, 1);
+}
+
+/**
+ * CSV, one line per step, comma separated, ISO time.
+ * @param {RouteData} route
+ * @returns {string}
+ */
+function routeToCsv(route) {
+  const header = ["step", "time", "lat", "lon", ...EXPORT_FIELDS.map(([key]) => key)].join(",");
+  const lines = route.pts.map((p, k) => [
+    k + 1,
+    new Date(p.t * 1000).toISOString(),
+    p.lat.toFixed(6),
+    p.lon.toFixed(6),
+    ...EXPORT_FIELDS.map(([key, , digits]) => exportValue(p, key, digits))
+  ].join(","));
+  return [header, ...lines].join("\n") + "\n";
+}
+
+/** Export formats: builder, extension, MIME type */
+const EXPORT_FORMATS = {
+  gpx: { build: routeToGpx, ext: "gpx", mime: "application/gpx+xml" },
+  kml: { build: routeToKml, ext: "kml", mime: "application/vnd.google-earth.kml+xml" },
+  geojson: { build: routeToGeoJson, ext: "geojson", mime: "application/geo+json" },
+  csv: { build: routeToCsv, ext: "csv", mime: "text/csv" }
+};
+
+/**
+ * Download text as a file.
+ * @param {string} text
+ * @param {string} fileName
+ * @param {string} mime
+ * @returns {void}
+ */
+function downloadText(text, fileName, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download the route in one format.
+ * @param {RouteData} route
+ * @param {"gpx"|"kml"|"geojson"|"csv"} format
+ * @returns {void}
+ * @throws {Error} on unknown format
+ */
+window.exportRoute = function exportRoute(route, format) {
+  const f = EXPORT_FORMATS[format];
+  if (!f) throw new Error(`Unknown export format: ${format}`);
+  const stamp = new Date(route.t0Epoch * 1000).toISOString().slice(0, 16).replace(/[-:T]/g, "");
+  downloadText(f.build(route), `route-${exportModel(route)}-${stamp}.${f.ext}`, f.mime);
+};
+
+/**
+ * "Export" menu: pick a format, then download the last computed route.
+ *
+ * @async
+ * @function openExportMenu
+ * @returns {Promise<void>}
+ */
+window.openExportMenu = async function openExportMenu() {
+  const route = window.lastRoute;
+  if (!route) return Swal.fire("No route", "Compute a route first.", "warning");
+
+  const items = [
+    ["gpx", "🧭", "GPX (track with times)"],
+    ["kml", "🌍", "KML"],
+    ["geojson", "🗺️", "GeoJSON"],
+    ["csv", "📄", "CSV"]
+  ];
+  const html = `
+    <div class="ios-settings" id="iosExportMenu">
+      ${items.map(([fmt, icon, label]) => `
+      <div class="ios-item" data-format="${fmt}">
+        <span class="ios-icon">${icon}</span><span class="ios-label">${label}</span>
+      </div>`).join("")}
+    </div>
+  `;
+
+  await Swal.fire({
+    title: "Export route",
+    html,
+    showConfirmButton: false,
+    showCancelButton: true,
+    cancelButtonText: "Cancel",
+    customClass: { popup: "ios-popup" },
+    didOpen: (popup) => {
+      popup.querySelector("#iosExportMenu").addEventListener("click", (e) => {
+        const item = e.target.closest(".ios-item");
+        if (!item) return;
+        Swal.close();
+        window.exportRoute(route, item.dataset.format);
+      });
+    }
+  });
+};
@@ -63,8 +63,8 @@ function condenseTimeStamps (timeStamps) {
  * Fetches and displays metadata of a GRIB file (wind or current) from the server.
  *
  * This function requests GRIB metadata using {@link gribMetaAndLoad} with
- * `load=false` (no binary data), updates the global {@link gribLimits} object,
- * and displays a formatted summary in a SweetAlert2 dialog.
+ * `load=false` (no binary data), which updates the global {@link gribLimits} object
+ * for wind GRIBs, and displays a formatted summary in a SweetAlert2 dialog.
  *
  * The GRIB source is selected in one of two ways:
  * - If `model` is provided, the server will select the GRIB corresponding
@@ -166,6 +166,8 @@ async function gribInfo(dir, model, gribName) {
  * @property {Float32Array} values
  * @property {(tIndex:number, iLat:number, iLon:number) => {u:number, v:number, g:number, w:number}} getUVGW
  * @property {(tIndex:number, iLat:number, iLon:number) => number} indexOf
+ * @property {(lat:number, lon:number, epoch:number) => ({u:number, v:number, g:number, w:number}|null)} [sampleAt]
+ *           interpolated value (bilinear in space, linear in time), null outside the grid
  * @property {number} nLat
  * @property {number} nLon
  * @property {number} nTime
@@ -189,6 +191,10 @@ async function gribInfo(dir, model, gribName) {
  * @property {number[]} timeStamps
  * @property {string[]} shortNames
  * @property {string} name
+ * @property {string} runStart - model run time, "YYYY-MM-DD HH:MM..."
+ * @property {string} runEnd
+ * @property {string} fileTime - server file modification time
+ * @property {number} fileSize
  */
 
 /* =========================================================
@@ -201,6 +207,9 @@ async function gribInfo(dir, model, gribName) {
  * @property {GribMeta|null} meta
  * @property {GribField|null} field
  * @property {boolean} loading
+ * @property {boolean} offline - field comes from the IndexedDB store without server check
+ * @property {string|null} model - model the GRIB was requested for
+ * @property {boolean} latest - GRIB is the latest of `model` (requested by model, not by name)
  */
 
 /** @type {GribCache} */
@@ -208,17 +217,52 @@ window.gribCache = {
   key: null,
   meta: null,
   field: null,
-  loading: false
+  loading: false,
+  offline: false,
+  model: null,
+  latest: false
 };
 
+/**
+ * Same GRIB run and grid: a stored dump is still valid for this meta.
+ * @param {GribMeta} a
+ * @param {GribMeta} b
+ * @returns {boolean}
+ */
+function isSameGribRun(a, b) {
+  return !!a && !!b && a.name === b.name && a.epochStart === b.epochStart &&
+    a.nTimeStamp === b.nTimeStamp && a.nLat === b.nLat && a.nLon === b.nLon;
+}
+
+/**
+ * Stored GRIB when the server cannot be reached: the named one if stored, else the latest of the model.
+ * @param {string} model
+ * @param {string} gribName
+ * @param {boolean} onlyUV
+ * @returns {Promise<{meta:GribMeta, field:GribField}|null>}
+ */
+async function loadStoredGrib(model, gribName, onlyUV) {
+  const stored = (gribName && await window.gribStore.get(`${model}/${gribName}?onlyUV=${onlyUV ? 1 : 0}`)) ||
+    await window.gribStore.findLatest(model, onlyUV);
+  if (!stored) return null;
+
+  const meta = stored.entry.meta;
+  const field = makeGribField(stored.values, stored.entry.shortnames, meta.nTimeStamp, meta.nLat, meta.nLon);
+  attachSampler(field, meta);
+  return { meta, field };
+}
+
 /**
  * Ensure GRIB is loaded in cache (meta + field). Uses cache when possible.
  * If `onlyUV=true`, appends `&onlyUV=true` to the REQ.GRIB_DUMP (type=16) request.
+ * Dumps are kept in `gribStore` (IndexedDB): a stored dump is reused when the server meta
+ * shows the same run, and used as is when the server is unreachable (`gribCache.offline`).
  *
  * @param {string} model
  * @param {string} [gribNameOptional=""]
  * @param {boolean} [onlyUV=false]
  * @returns {Promise<{meta:GribMeta, field:GribField}>}
+ * @throws {Error} on network error with no stored GRIB
  */
 window.ensureGribLoaded = async function ensureGribLoaded(model, gribNameOptional = "", onlyUV = false) {
   const cache = window.gribCache;
@@ -232,14 +276,47 @@ window.ensureGribLoaded = async function ensureGribLoaded(model, gribNameOptiona
 
   cache.loading = true;
   try {
-    const { meta, field } = await window.gribMetaAndLoad("grib", model, gribNameOptional, true, onlyUV);
+    let meta;
+    try {
+      meta = await fetchGribMeta("grib", model, gribNameOptional);
+    } catch (e) {
+      const stored = await loadStoredGrib(model, gribNameOptional, onlyUV);
+      if (!stored) throw e;
+      console.warn("ensureGribLoaded: meta unavailable, using stored GRIB", stored.meta.name, e);
+      setWindGlobals(stored.meta, stored.field);
+      cache.key = `${model}/${stored.meta.name}?onlyUV=${onlyUV ? 1 : 0}`;
+      cache.meta = { ...stored.meta };
+      cache.field = stored.field;
+      cache.offline = true;
+      cache.model = model;
+      cache.latest = !gribNameOptional;
+      return { meta: cache.meta, field: cache.field };
+    }
+    if (!meta) throw new Error("No GRIB model or name");
+
+    const realName = meta.name || gribNameOptional || "";
+    const key = `${model}/${realName}?onlyUV=${onlyUV ? 1 : 0}`;
+    const stored = await window.gribStore.get(key);
+
+    let field;
+    if (stored && isSameGribRun(stored.entry.meta, meta)) {
+      field = makeGribField(stored.values, stored.entry.shortnames, meta.nTimeStamp, meta.nLat, meta.nLon);
+    } else {
+      field = await gribLoad("grib", model, gribNameOptional, meta.nTimeStamp, meta.nLat, meta.nLon, meta.nShortName, onlyUV);
+      // Not awaited: storing a large dump must not delay display
+      window.gribStore.put(key, model, onlyUV, meta, field);
+    }
+    attachSampler(field, meta);
+    setWindGlobals(meta, field);
 
-    const realName = (meta && meta.name) ? meta.name : (gribNameOptional || "");
-    cache.key = `${model}/${realName}?onlyUV=${onlyUV ? 1 : 0}`;
-    cache.meta = meta;
+    cache.key = key;
+    cache.meta = { ...meta };
     cache.field = field;
+    cache.offline = false;
+    cache.model = model;
+    cache.latest = !!model;   // fetchGribMeta ignores the name when a model is given
 
-    return { meta, field };
+    return { meta: cache.meta, field };
   } finally {
     cache.loading = false;
   }
@@ -260,6 +337,8 @@ window.forceReloadGrib = async function forceReloadGrib(model, gribNameOptional
   cache.meta = null;
   cache.field = null;
   cache.loading = false;
+  cache.offline = false;
+  cache.latest = false;
 
   return await window.ensureGribLoaded(model, gribNameOptional, onlyUV);
 };
@@ -299,21 +378,35 @@ async function gribLoad(dir, model, gribName, nTime, nLat, nLon, nName, onlyUV =
 
   const hasU = shortnamesStr.includes("u");
   const hasV = shortnamesStr.includes("v");
-  const hasG = shortnamesStr.includes("g");
-  const hasW = shortnamesStr.includes("w");
   if (!hasU || !hasV) console.warn("X-Shortnames does not contain both u and v:", shortnamesStr);
 
-  let nShortName = 2;
-  if (hasG) nShortName++;
-  if (hasW) nShortName++;
+  const values = new Float32Array(await res.arrayBuffer());
+  const field = makeGribField(values, shortnamesStr, nTime, nLat, nLon);
 
   // If nName provided, just warn (do not fail)
-  if (Number.isFinite(nName) && nName > 0 && nName !== nShortName) {
-    console.warn("gribLoad: nShortName mismatch", "found", nShortName, "expected", nName);
+  if (Number.isFinite(nName) && nName > 0 && nName !== field.nShortName) {
+    console.warn("gribLoad: nShortName mismatch", "found", field.nShortName, "expected", nName);
   }
+  return field;
+}
 
-  const buf = await res.arrayBuffer();
-  const values = new Float32Array(buf);
+/**
+ * Build a GribField over decoded dump values (network or IndexedDB store).
+ *
+ * @param {Float32Array} values
+ * @param {string} shortnamesStr - components present: "uv", "uvg", "uvw", "uvgw"
+ * @param {number} nTime
+ * @param {number} nLat
+ * @param {number} nLon
+ * @returns {GribField}
+ * @throws {Error} on inconsistent size
+ */
+function makeGribField(values, shortnamesStr, nTime, nLat, nLon) {
+  const hasG = shortnamesStr.includes("g");
+  const hasW = shortnamesStr.includes("w");
+  let nShortName = 2;
+  if (hasG) nShortName++;
+  if (hasW) nShortName++;
 
   const expected = nTime * nLat * nLon * nShortName;
   if (values.length !== expected) {
@@ -363,24 +456,104 @@ async function gribLoad(dir, model, gribName, nTime, nLat, nLon, nName, onlyUV =
   return { values, getUVGW, indexOf, nLat, nLon, nTime, nShortName, shortnames: shortnamesStr };
 }
 
+/* =========================================================
+   Sampling (interpolation in space and time)
+   ========================================================= */
+
 /**
- * Fetch GRIB meta (REQ.GRIB) and optionally load binary dump (REQ.GRIB_DUMP).
- * Updates global `gribLimits` and `dataGrib`.
+ * Return bounding GRIB indices around a time in hours:
+ * meta.timeStamps[iTInf] <= tHours <= meta.timeStamps[iTSup]
+ *
+ * @param {GribMeta} meta
+ * @param {number} tHours - hours since meta.epochStart
+ * @returns {{iTInf:number, iTSup:number}}
+ */
+function findTimeAround(meta, tHours) {
+  const ts = meta.timeStamps;
+  const n = meta.nTimeStamp;
+
+  if (!Number.isFinite(tHours) || tHours < ts[0]) return { iTInf: 0, iTSup: 0 };
+
+  for (let k = 0; k < n; k++) {
+    if (tHours === ts[k]) return { iTInf: k, iTSup: k };
+    if (tHours < ts[k]) return { iTInf: k - 1, iTSup: k };
+  }
+  return { iTInf: n - 1, iTSup: n - 1 };
+}
+
+/**
+ * Add `sampleAt(lat, lon, epoch)` to a GRIB field.
+ * Geometry is copied from meta so later meta requests cannot alter the sampler.
+ *
+ * Space: bilinear between the 4 surrounding grid nodes (longitude wraps on global grids).
+ * Time: linear between the bracketing time stamps given by {@link findTimeAround},
+ * clamped to the first/last time stamp.
+ *
+ * @param {GribField} field
+ * @param {GribMeta} meta
+ * @returns {GribField} same field, for chaining
+ */
+function attachSampler(field, meta) {
+  const { epochStart, bottomLat, leftLon, latStep, lonStep, nLat, nLon } = meta;
+  const timeMeta = { timeStamps: [...meta.timeStamps], nTimeStamp: meta.nTimeStamp };
+  const isGlobal = nLon * lonStep >= 359.9;
+  const EPS = 1e-6; // tolerance on grid borders (float rounding)
+
+  /**
+   * Bilinear interpolation at fractional grid position for time index tIndex.
+   * @returns {{u:number, v:number, g:number, w:number}}
+   */
+  function bilinear(tIndex, iLat0, iLon0, iLon1, fy, fx) {
+    const iLat1 = Math.min(iLat0 + 1, nLat - 1);
+    const a = field.getUVGW(tIndex, iLat0, iLon0);
+    const b = field.getUVGW(tIndex, iLat0, iLon1);
+    const c = field.getUVGW(tIndex, iLat1, iLon0);
+    const d = field.getUVGW(tIndex, iLat1, iLon1);
+    const mix = (k) =>
+      (a[k] * (1 - fx) + b[k] * fx) * (1 - fy) + (c[k] * (1 - fx) + d[k] * fx) * fy;
+    return { u: mix("u"), v: mix("v"), g: mix("g"), w: mix("w") };
+  }
+
+  field.sampleAt = function sampleAt(lat, lon, epoch) {
+    const y = (lat - bottomLat) / latStep;
+    const x = ((((lon - leftLon) % 360) + 360) % 360) / lonStep;  // lon offset from leftLon in [0, 360)
+    if (!(y >= -EPS && y <= nLat - 1 + EPS && (isGlobal || x <= nLon - 1 + EPS))) return null;
+
+    const iLat0 = Math.max(0, Math.min(Math.floor(y), nLat - 1));
+    const iLon0 = Math.min(Math.floor(x), nLon - 1);
+    const iLon1 = isGlobal ? (iLon0 + 1) % nLon : Math.min(iLon0 + 1, nLon - 1);
+    const fy = Math.max(0, Math.min(1, y - iLat0));
+    const fx = Math.max(0, Math.min(1, x - iLon0));
+
+    const tHours = (epoch - epochStart) / 3600;
+    const { iTInf, iTSup } = findTimeAround(timeMeta, tHours);
+    const inf = bilinear(iTInf, iLat0, iLon0, iLon1, fy, fx);
+    if (iTInf === iTSup) return inf;
+
+    const sup = bilinear(iTSup, iLat0, iLon0, iLon1, fy, fx);
+    const ratio = (tHours - timeMeta.timeStamps[iTInf]) / (timeMeta.timeStamps[iTSup] - timeMeta.timeStamps[iTInf]);
+    const lerp = (k) => inf[k] + (sup[k] - inf[k]) * ratio;
+    return { u: lerp("u"), v: lerp("v"), g: lerp("g"), w: lerp("w") };
+  };
+
+  return field;
+}
+
+/**
+ * Fetch GRIB meta (REQ.GRIB).
  *
  * @param {string} dir
- * @param {string|null} model
+ * @param {string|null} model - when set, latest GRIB of the model (gribName ignored)
  * @param {string} gribName
- * @param {boolean} load
- * @param {boolean} [onlyUV=false]
- * @returns {Promise<{meta:GribMeta, field:GribField}>}
+ * @returns {Promise<GribMeta|null>} null when neither model nor gribName is given
  * @throws {Error} on HTTP errors or server meta error
  */
-async function gribMetaAndLoad(dir, model, gribName, load, onlyUV = false) {
+async function fetchGribMeta(dir, model, gribName) {
   let gribParam = "";
   if (model) gribParam = `model=${model}`;
   else {
    if (!gribName || gribName.length === 0) {
-      return false;
+      return null;
    } 
    if (gribName.startsWith ("grib/") || gribName.startsWith ("currentgrib/")) gribParam = `grib=${gribName}`;
    else gribParam = `grib=${dir}/${gribName}`;
@@ -396,19 +569,81 @@ async function gribMetaAndLoad(dir, model, gribName, load, onlyUV = false) {
 
   if (data._Error) throw new Error(`Server GRIB meta error: ${data._Error}`);
   if (!data || Object.keys(data).length === 0) throw new Error("Empty GRIB meta");
+  return data;
+}
 
-  Object.assign(gribLimits, data);
+/**
+ * Make meta (and field when given) the wind GRIB described by globals `gribLimits` and `dataGrib`.
+ * @param {GribMeta} meta
+ * @param {GribField|null} field
+ * @returns {void}
+ */
+function setWindGlobals(meta, field) {
+  Object.assign(gribLimits, meta);
   window.gribLimits = gribLimits;
-
-  if (load) {
-    const field = await gribLoad(dir, model, gribName, data.nTimeStamp, data.nLat, data.nLon, data.nShortName, onlyUV);
+  if (field) {
     dataGrib = field;
     window.dataGrib = dataGrib;
   }
+}
+
+/**
+ * Fetch GRIB meta (REQ.GRIB) and optionally load binary dump (REQ.GRIB_DUMP).
+ * Updates global `gribLimits` and `dataGrib` for the wind GRIB (`dir === "grib"`) only.
+ *
+ * @param {string} dir
+ * @param {string|null} model
+ * @param {string} gribName
+ * @param {boolean} load
+ * @param {boolean} [onlyUV=false]
+ * @returns {Promise<{meta:GribMeta, field:GribField|null}>}
+ * @throws {Error} on HTTP errors or server meta error
+ */
+async function gribMetaAndLoad(dir, model, gribName, load, onlyUV = false) {
+  const data = await fetchGribMeta(dir, model, gribName);
+  if (!data) return false;
+
+  // Globals describe the wind GRIB only (current GRIB must not overwrite them)
+  const isWind = (dir === "grib");
+  if (isWind) setWindGlobals(data, null);
+
+  let field = isWind ? dataGrib : null;
+  if (load) {
+    field = await gribLoad(dir, model, gribName, data.nTimeStamp, data.nLat, data.nLon, data.nShortName, onlyUV);
+    attachSampler(field, data);
+    if (isWind) setWindGlobals(data, field);
+  }
+
+  // Private copy of meta: later meta requests must not alter a loaded field description
+  return { meta: { ...data }, field };
+}
+
+/**
+ * Check whether the server has a newer GRIB run of `model` than the one in `gribCache`.
+ * Uses the meta of the latest model GRIB (REQ.GRIB): a new run changes name, runStart or fileTime.
+ * Only meaningful when the loaded GRIB is the latest of the same model: a GRIB loaded by name,
+ * or of another model, never reports "newer".
+ *
+ * @param {string} model
+ * @returns {Promise<{newer:boolean, meta:GribMeta|null}>} meta null when no comparison was made
+ * @throws {Error} on HTTP errors or server meta error
+ */
+async function checkGribRun(model) {
+  const cache = window.gribCache;
+  const loaded = cache.meta;
+  if (!loaded || !cache.latest || cache.model !== model) return { newer: false, meta: null };
 
-  return { meta: gribLimits, field: dataGrib };
+  const meta = await fetchGribMeta("grib", model, "");
+  const newer = meta.name !== loaded.name || meta.runStart !== loaded.runStart ||
+    meta.fileTime !== loaded.fileTime;
+  return { newer, meta };
 }
 
 window.gribLoad = gribLoad;
+window.checkGribRun = checkGribRun;
+window.makeGribField = makeGribField;
+window.fetchGribMeta = fetchGribMeta;
 window.gribMetaAndLoad = gribMetaAndLoad;
+window.findTimeAround = findTimeAround;
+window.attachSampler = attachSampler;
 
@@ -0,0 +1,185 @@
+/* =========================================================
+   Persistent GRIB store (IndexedDB), LRU eviction
+   ========================================================= */
+
+const GRIB_DB_NAME = "rcube-grib";
+const GRIB_DB_VERSION = 1;
+const GRIB_STORE_MAX_BYTES = 150 * 1024 * 1024;
+const GRIB_STORE_MAX_ENTRIES = 8;
+
+/**
+ * @typedef {Object} GribStoreEntry - small index record ("index" store)
+ * @property {string} key - `${model}/${name}?onlyUV=0|1`
+ * @property {string} model
+ * @property {boolean} onlyUV
+ * @property {GribMeta} meta
+ * @property {string} shortnames
+ * @property {number} size - bytes
+ * @property {number} savedAt - ms since epoch
+ * @property {number} lastUsed - ms since epoch
+ */
+
+/**
+ * GRIB dumps kept across reloads. Two object stores:
+ * - "index": GribStoreEntry, read whole for LRU decisions
+ * - "data": {key, buffer} holding the Float32Array bytes
+ * Every method resolves null/false instead of throwing when IndexedDB is unavailable,
+ * so callers can always fall back to the network.
+ */
+window.gribStore = (function makeGribStore() {
+  /** @type {Promise<IDBDatabase>|null} */
+  let dbPromise = null;
+
+  /** @returns {Promise<IDBDatabase>} */
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) return reject(new Error("IndexedDB not available"));
+        const req = indexedDB.open(GRIB_DB_NAME, GRIB_DB_VERSION);
+        req.onupgradeneeded = () => {
+          req.result.createObjectStore("index", { keyPath: "key" });
+          req.result.createObjectStore("data", { keyPath: "key" });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Run `fn` in one transaction; resolves with the result of the last request `fn` returns.
+   * @param {string[]} stores
+   * @param {IDBTransactionMode} mode
+   * @param {(tx:IDBTransaction) => IDBRequest|void} fn
+   * @returns {Promise<any>}
+   */
+  async function run(stores, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(stores, mode);
+      const req = fn(tx);
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /** @returns {Promise<GribStoreEntry[]>} */
+  async function list() {
+    try {
+      return await run(["index"], "readonly", tx => tx.objectStore("index").getAll());
+    } catch (e) {
+      console.warn("gribStore.list:", e);
+      return [];
+    }
+  }
+
+  /**
+   * Stored GRIB by key, marked as used.
+   * @param {string} key
+   * @returns {Promise<{entry:GribStoreEntry, values:Float32Array}|null>}
+   */
+  async function get(key) {
+    try {
+      const entry = await run(["index"], "readonly", tx => tx.objectStore("index").get(key));
+      if (!entry) return null;
+      const data = await run(["data"], "readonly", tx => tx.objectStore("data").get(key));
+      if (!data) return null;
+
+      entry.lastUsed = Date.now();
+      await run(["index"], "readwrite", tx => tx.objectStore("index").put(entry));
+      return { entry, values: new Float32Array(data.buffer) };
+    } catch (e) {
+      console.warn("gribStore.get:", e);
+      return null;
+    }
+  }
+
+  /**
+   * Most recent stored GRIB of a model (offline fallback when the name is unknown).
+   * @param {string} model
+   * @param {boolean} onlyUV - a full dump is accepted when a light one is wanted
+   * @returns {Promise<{entry:GribStoreEntry, values:Float32Array}|null>}
+   */
+  async function findLatest(model, onlyUV) {
+    const candidates = (await list())
+      .filter(e => e.model === model && (onlyUV || !e.onlyUV))
+      .sort((a, b) => b.meta.epochStart - a.meta.epochStart || b.savedAt - a.savedAt);
+    return candidates.length > 0 ? get(candidates[0].key) : null;
+  }
+
+  /**
+   * Store a downloaded GRIB, then evict least recently used ones above limits.
+   * @param {string} key
+   * @param {string} model
+   * @param {boolean} onlyUV
+   * @param {GribMeta} meta
+   * @param {GribField} field
+   * @returns {Promise<boolean>} false when not stored (too big, quota, no IndexedDB)
+   */
+  async function put(key, model, onlyUV, meta, field) {
+    const size = field.values.byteLength;
+    if (size > GRIB_STORE_MAX_BYTES) return false;
+
+    const now = Date.now();
+    /** @type {GribStoreEntry} */
+    const entry = { key, model, onlyUV, meta, shortnames: field.shortnames, size, savedAt: now, lastUsed: now };
+    const buffer = field.values.buffer.slice(field.values.byteOffset, field.values.byteOffset + size);
+    try {
+      await evict(size, key);
+      await run(["index", "data"], "readwrite", tx => {
+        tx.objectStore("data").put({ key, buffer });
+        tx.objectStore("index").put(entry);
+      });
+      return true;
+    } catch (e) {
+      console.warn("gribStore.put:", e);
+      return false;
+    }
+  }
+
+  /**
+   * Remove least recently used entries until `incoming` more bytes fit in the limits.
+   * @param {number} incoming - bytes about to be stored
+   * @param {string} replacedKey - key about to be overwritten (not counted)
+   * @returns {Promise<void>}
+   */
+  async function evict(incoming, replacedKey) {
+    const entries = (await list())
+      .filter(e => e.key !== replacedKey)
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+    let total = entries.reduce((sum, e) => sum + e.size, 0) + incoming;
+    let count = entries.length + 1;
+
+    const victims = [];
+    while (entries.length > 0 && (total > GRIB_STORE_MAX_BYTES || count > GRIB_STORE_MAX_ENTRIES)) {
+      const e = entries.shift();
+      victims.push(e.key);
+      total -= e.size;
+      count--;
+    }
+    if (victims.length === 0) return;
+    await run(["index", "data"], "readwrite", tx => {
+      for (const k of victims) {
+        tx.objectStore("index").delete(k);
+        tx.objectStore("data").delete(k);
+      }
+    });
+  }
+
+  /** @returns {Promise<void>} */
+  async function clear() {
+    try {
+      await run(["index", "data"], "readwrite", tx => {
+        tx.objectStore("index").clear();
+        tx.objectStore("data").clear();
+      });
+    } catch (e) {
+      console.warn("gribStore.clear:", e);
+    }
+  }
+
+  return { list, get, findLatest, put, clear };
+})();
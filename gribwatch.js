@@ -0,0 +1,128 @@
+/* globals Swal, appState, checkGribRun, forceReloadGrib, windLayer, weatherTimeline, tracker, routeDeviation,
+           computeRouteAndWind, checkComputeInputs */
+
+/* =========================================================
+   New GRIB run detection: periodic and on-resume meta polling, badge, one-tap reload
+   ========================================================= */
+
+const GRIB_WATCH_MIN = 10;          // polling period, minutes
+const GRIB_WATCH_RESUME_S = 60;     // on resume, check again if the last check is older than this
+
+/**
+ * Polls the meta of the latest model GRIB (checkGribRun) and shows #gribBadge
+ * when the server has another run than the one in `gribCache`.
+ * Tapping the badge reloads the GRIB and recomputes the route if one is displayed.
+ * Single run checker of the app: other modules (auto re-routing) subscribe with onNewRun().
+ */
+window.gribRunWatch = (function makeGribRunWatch() {
+  let timer = null;
+  let lastCheckMs = 0;
+  /** @type {GribMeta|null} meta of the newer run, null when up to date */
+  let newer = null;
+  /** @type {Array<(meta:GribMeta) => void>} */
+  let listeners = [];
+
+  /** @returns {void} */
+  function renderBadge() {
+    const badge = document.getElementById("gribBadge");
+    if (!badge) return;
+    badge.style.display = newer ? "" : "none";
+    if (newer) {
+      const run = newer.runStart ? `${newer.runStart.slice(11, 13)}Z` : newer.name;
+      badge.textContent = `🆕 ${appState.model} ${run} ⟳`;
+    }
+  }
+
+  /**
+   * Check now. Network errors are ignored (offshore), the next poll tries again.
+   * @returns {Promise<boolean>} true when a newer run exists
+   */
+  async function check() {
+    lastCheckMs = Date.now();
+    try {
+      const { newer: isNewer, meta } = await checkGribRun(appState.model);
+      const announced = newer;
+      newer = isNewer ? meta : null;
+      // Listeners hear about each new run once, not at every poll
+      if (newer && (!announced || announced.name !== newer.name)) listeners.forEach(cb => cb(newer));
+    } catch (e) {
+      console.warn("gribRunWatch: check failed", e);
+    }
+    renderBadge();
+    return newer !== null;
+  }
+
+  /**
+   * Hide the badge when the newer run has been loaded by someone else (auto re-routing).
+   * @returns {void}
+   */
+  function sync() {
+    const loaded = window.gribCache.meta;
+    if (newer && loaded && loaded.name === newer.name && loaded.runStart === newer.runStart) newer = null;
+    renderBadge();
+  }
+
+  /**
+   * @param {(meta:GribMeta) => void} cb - called once per new run detected
+   * @returns {() => void} unsubscribe
+   */
+  function onNewRun(cb) {
+    listeners.push(cb);
+    return () => { listeners = listeners.filter(x => x !== cb); };
+  }
+
+  /** @returns {void} */
+  function onVisibilityChange() {
+    if (document.visibilityState === "visible" && Date.now() - lastCheckMs > GRIB_WATCH_RESUME_S * 1000) check();
+  }
+
+  /**
+   * Start polling (first check after one period: the GRIB has just been loaded).
+   * @returns {void}
+   */
+  function start() {
+    if (timer) return;
+    lastCheckMs = Date.now();
+    timer = setInterval(check, GRIB_WATCH_MIN * 60 * 1000);
+    document.addEventListener("visibilitychange", onVisibilityChange);
+  }
+
+  /**
+   * Load the new run (forceReloadGrib invalidates the memory cache) and
+   * recompute the displayed route with it: from GPS when tracking, else from the Start input.
+   * @returns {Promise<void>}
+   * @throws {Error} on GRIB or routing errors
+   */
+  async function reloadAndRecompute() {
+    Swal.fire({
+      title: "Grib Loading…",
+      didOpen: () => Swal.showLoading(),
+      allowOutsideClick: false,
+      showConfirmButton: false
+    });
+    try {
+      const { meta, field } = await forceReloadGrib(appState.model, "", appState.onlyUV);
+      windLayer.set(meta, field);
+      weatherTimeline.refresh();
+      windLayer.redraw();
+      newer = null;
+      renderBadge();
+
+      if (window.lastRoute) {
+        Swal.update({ title: "Routing…" });
+        Swal.showLoading();
+        if (tracker.isRunning() && tracker.getLastFix()) {
+          await routeDeviation.recomputeFromGps();
+        } else {
+          const problem = checkComputeInputs();
+          if (problem) throw new Error(problem);
+          await computeRouteAndWind(appState);
+        }
+      }
+    } finally {
+      if (Swal.isVisible()) Swal.close();
+    }
+  }
+
+  return { start, check, sync, onNewRun, reloadAndRecompute, getNewer: () => newer };
+})();
@@ -0,0 +1,130 @@
+/* globals appState, setStartBoat, removeStartBoat, setWaypoints, showRoute,
+           saveSession, reloadWindGrib */
+
+/* =========================================================
+   Undo / redo of map edits and settings
+   ========================================================= */
+
+const HISTORY_MAX = 50;
+
+/**
+ * appState keys that are not settings (restored separately or not recorded).
+ * Display and underway preferences are never recorded as edits, so undo must not revert them.
+ */
+const HISTORY_NOT_SETTINGS = ["apiUrl", "boat", "waypoints", "startEpoch",
+  "windMode", "overlay", "coordFormat", "autoRouteMin", "autoRouteOnNewRun"];
+
+/**
+ * @typedef {Object} EditSnapshot
+ * @property {{lat:number|null, lon:number|null, tack?:number}} boat
+ * @property {Array<{lat:number, lon:number}>} waypoints
+ * @property {Object<string, any>} settings - appState without HISTORY_NOT_SETTINGS keys
+ * @property {any} routeJson - lastRouteData
+ * @property {RouteData|null} route - lastRoute
+ */
+
+/**
+ * Snapshot based command history.
+ * UI call sites call record() just before an edit (boat, waypoints, settings);
+ * undo() / redo() restore the whole snapshot, route included, so moving the boat by mistake
+ * does not lose the computed route.
+ */
+window.editHistory = (function makeEditHistory() {
+  /** @type {EditSnapshot[]} */
+  let undoStack = [];
+  /** @type {EditSnapshot[]} */
+  let redoStack = [];
+
+  /**
+   * Capture current boat, waypoints, settings and route.
+   * @returns {EditSnapshot}
+   */
+  function snapshot() {
+    const settings = {};
+    for (const [k, v] of Object.entries(appState)) {
+      if (!HISTORY_NOT_SETTINGS.includes(k)) settings[k] = v;
+    }
+    return {
+      boat: { ...appState.boat },
+      waypoints: appState.waypoints.map(wp => ({ lat: wp.lat, lon: wp.lon })),
+      settings,
+      routeJson: window.lastRouteData,
+      route: window.lastRoute
+    };
+  }
+
+  /**
+   * Push a snapshot taken before an edit. Clears redo.
+   * @param {EditSnapshot} [snap] - snapshot taken earlier (async edits), default: now
+   * @returns {void}
+   */
+  function record(snap = snapshot()) {
+    undoStack.push(snap);
+    if (undoStack.length > HISTORY_MAX) undoStack.shift();
+    redoStack = [];
+    updateButtons();
+  }
+
+  /**
+   * Make a snapshot the current state.
+   * @param {EditSnapshot} s
+   * @returns {Promise<void>}
+   */
+  async function restore(s) {
+    const onlyUVChanged = s.settings.onlyUV !== appState.onlyUV;
+    Object.assign(appState, s.settings);
+
+    // Both clear the route
+    if (Number.isFinite(s.boat.lat) && Number.isFinite(s.boat.lon)) {
+      setStartBoat(s.boat.lat, s.boat.lon, Number.isFinite(s.boat.tack) ? s.boat.tack : 0);
+    } else {
+      removeStartBoat();
+    }
+    setWaypoints(s.waypoints);
+
+    if (s.route) await showRoute(appState, s.routeJson, s.route);
+    if (onlyUVChanged) await reloadWindGrib();
+    saveSession(appState);
+  }
+
+  /** @returns {Promise<void>} */
+  async function undo() {
+    if (undoStack.length === 0) return;
+    redoStack.push(snapshot());
+    const s = undoStack.pop();
+    updateButtons();
+    await restore(s);
+  }
+
+  /** @returns {Promise<void>} */
+  async function redo() {
+    if (redoStack.length === 0) return;
+    undoStack.push(snapshot());
+    const s = redoStack.pop();
+    updateButtons();
+    await restore(s);
+  }
+
+  /** @returns {boolean} */
+  function canUndo() {
+    return undoStack.length > 0;
+  }
+
+  /** @returns {boolean} */
+  function canRedo() {
+    return redoStack.length > 0;
+  }
+
+  /**
+   * Enable/disable Undo and Redo buttons.
+   * @returns {void}
+   */
+  function updateButtons() {
+    const bu = document.getElementById("btnUndo");
+    const br = document.getElementById("btnRedo");
+    if (bu) bu.disabled = !canUndo();
+    if (br) br.disabled = !canRedo();
+  }
+
+  return { snapshot, record, undo, redo, canUndo, canRedo, updateButtons };
+})();
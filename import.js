@@ -0,0 +1,285 @@
+/* globals L, Swal, map, appState, setWaypoints, clearWaypoints, editHistory, getDMSType */
+
+/* =========================================================
+   Waypoint import from GPX / KML / GeoJSON files
+   ========================================================= */
+
+const IMPORT_MAX_POINTS = 200;   // longer tracks/lines are thinned evenly before preview
+
+/**
+ * @typedef {Object} ImportPoint
+ * @property {number} lat
+ * @property {number} lon
+ * @property {string} name
+ * @property {string} kind - "rtept", "wpt", "trkpt", "Point" or "LineString"
+ */
+
+/**
+ * Parse XML text.
+ * @param {string} text
+ * @returns {Document}
+ * @throws {Error} on malformed XML
+ */
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) throw new Error("Malformed XML file");
+  return doc;
+}
+
+/**
+ * Text of the first direct child element named `tag`, "" if none.
+ * @param {Element} el
+ * @param {string} tag
+ * @returns {string}
+ */
+function childText(el, tag) {
+  const c = Array.from(el.children).find(x => x.localName === tag);
+  return c ? c.textContent.trim() : "";
+}
+
+/**
+ * GPX: route points, then waypoints, then track points.
+ * @param {string} text
+ * @returns {ImportPoint[]}
+ */
+function parseGpx(text) {
+  const doc = parseXml(text);
+  const out = [];
+  for (const kind of ["rtept", "wpt", "trkpt"]) {
+    for (const el of doc.getElementsByTagNameNS("*", kind)) {
+      out.push({
+        lat: Number(el.getAttribute("lat")),
+        lon: Number(el.getAttribute("lon")),
+        name: childText(el, "name"),
+        kind
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * KML "lon,lat[,alt] lon,lat..." coordinates string.
+ * @param {string} s
+ * @returns {Array<[number, number]>} list of [lat, lon]
+ */
+function parseKmlCoordinates(s) {
+  return s.trim().split(/\s+/).filter(Boolean).map(tuple => {
+    const [lon, lat] = tuple.split(",").map(Number);
+    return [lat, lon];
+  });
+}
+
+/**
+ * KML: Placemark Points and LineStrings, in document order.
+ * @param {string} text
+ * @returns {ImportPoint[]}
+ */
+function parseKml(text) {
+  const doc = parseXml(text);
+  const out = [];
+  for (const pm of doc.getElementsByTagNameNS("*", "Placemark")) {
+    const name = childText(pm, "name");
+    for (const kind of ["Point", "LineString"]) {
+      for (const geom of pm.getElementsByTagNameNS("*", kind)) {
+        const coords = geom.getElementsByTagNameNS("*", "coordinates")[0];
+        if (!coords) continue;
+        parseKmlCoordinates(coords.textContent).forEach(([lat, lon], i) => {
+          out.push({ lat, lon, name: kind === "Point" ? name : `${name} ${i + 1}`.trim(), kind });
+        });
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * GeoJSON: Point, MultiPoint, LineString and MultiLineString geometries.
+ * @param {string} text
+ * @returns {ImportPoint[]}
+ * @throws {Error} on malformed JSON
+ */
+function parseGeoJson(text) {
+  const json = JSON.parse(text);
+  const out = [];
+
+  const addGeometry = (geom, name) => {
+    if (!geom) return;
+    const push = (c, kind, label) => out.push({ lat: c[1], lon: c[0], name: label, kind });
+    switch (geom.type) {
+      case "Point":
+        push(geom.coordinates, "Point", name);
+        break;
+      case "MultiPoint":
+        geom.coordinates.forEach((c, i) => push(c, "Point", `${name} ${i + 1}`.trim()));
+        break;
+      case "LineString":
+        geom.coordinates.forEach((c, i) => push(c, "LineString", `${name} ${i + 1}`.trim()));
+        break;
+      case "MultiLineString":
+        geom.coordinates.flat().forEach((c, i) => push(c, "LineString", `${name} ${i + 1}`.trim()));
+        break;
+      case "GeometryCollection":
+        (geom.geometries || []).forEach(g => addGeometry(g, name));
+        break;
+    }
+  };
+
+  const features = json.type === "FeatureCollection" ? json.features
+    : json.type === "Feature" ? [json]
+      : [{ geometry: json, properties: {} }];
+  for (const f of features || []) addGeometry(f.geometry, String(f.properties?.name ?? ""));
+  return out;
+}
+
+/**
+ * Parse an import file by extension (content sniffing as fallback).
+ * Points with invalid coordinates are dropped.
+ *
+ * @param {string} fileName
+ * @param {string} text
+ * @returns {ImportPoint[]}
+ * @throws {Error} on unknown format or parse error
+ */
+window.parseImportFile = function parseImportFile(fileName, text) {
+  const ext = (fileName.split(".").pop() || "").toLowerCase();
+  let pts;
+  if (ext === "gpx" || /<gpx[\s>]/.test(text)) pts = parseGpx(text);
+  else if (ext === "kml" || /<kml[\s>]/.test(text)) pts = parseKml(text);
+  else if (ext === "geojson" || ext === "json") pts = parseGeoJson(text);
+  else throw new Error(`Unknown file format: ${fileName}`);
+
+  return pts.filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon) &&
+    Math.abs(p.lat) <= 90 && Math.abs(p.lon) <= 360);
+};
+
+/**
+ * Keep at most `max` points, evenly spaced, first and last included.
+ * @param {ImportPoint[]} pts
+ * @param {number} max
+ * @returns {ImportPoint[]}
+ */
+function thinPoints(pts, max) {
+  if (pts.length <= max) return pts;
+  const out = [];
+  for (let i = 0; i < max; i++) out.push(pts[Math.round(i * (pts.length - 1) / (max - 1))]);
+  return out;
+}
+
+/**
+ * Ask user for one file.
+ * @returns {Promise<File|null>} null on cancel
+ */
+function pickImportFile() {
+  return new Promise((resolve) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".gpx,.kml,.geojson,.json";
+    input.addEventListener("change", () => resolve(input.files[0] || null));
+    input.addEventListener("cancel", () => resolve(null));
+    input.click();
+  });
+}
+
+/**
+ * Build preview table: one checkbox per point. Track points are unchecked
+ * when the file also has route points or waypoints.
+ *
+ * @param {ImportPoint[]} pts
+ * @param {boolean} thinned - file had more points than shown
+ * @returns {string}
+ */
+function buildImportHtml(pts, thinned) {
+  const hasPlan = pts.some(p => p.kind !== "trkpt");
+  const type = getDMSType();
+  const rows = pts.map((p, i) => `
+    <tr style="background-color: ${i % 2 === 0 ? '#f9f9f9' : '#ffffff'};">
+      <td><input type="checkbox" name="impPt" value="${i}" ${hasPlan && p.kind === "trkpt" ? "" : "checked"}/></td>
+      <td>${i + 1}</td>
+      <td>${esc(p.name)}</td>
+      <td style="opacity:.75;">${p.kind}</td>
+      <td style="white-space:nowrap;">${latLonToStr(p.lat, p.lon, type)}</td>
+    </tr>`).join("");
+
+  return `
+    <div class="settingsBox" style="text-align:left;display:grid;gap:8px;">
+      ${thinned ? `<div style="opacity:.75;">Long track: points thinned evenly.</div>` : ""}
+      <div style="display:flex;gap:8px;">
+        <button type="button" class="btn" id="impAll">All</button>
+        <button type="button" class="btn" id="impNone">None</button>
+        <label style="display:flex; gap:6px; align-items:center;">
+          <input type="checkbox" id="impReplace" checked/> <b>Replace current waypoints</b>
+        </label>
+      </div>
+      <div style="max-height:45vh;overflow:auto;">
+        <table style="border-collapse:collapse;width:100%;font-size:13px;"><tbody>${rows}</tbody></table>
+      </div>
+    </div>`;
+}
+
+/**
+ * "Import" action: pick file, preview points on the map and in a table,
+ * then add the selected ones as waypoints.
+ *
+ * @async
+ * @function openImportDialog
+ * @returns {Promise<void>}
+ */
+window.openImportDialog = async function openImportDialog() {
+  const file = await pickImportFile();
+  if (!file) return;
+
+  const all = window.parseImportFile(file.name, await file.text());
+  if (all.length === 0) throw new Error(`No point found in ${file.name}`);
+  // Only lines (tracks) are thinned: route points and named points are always kept.
+  // Points stay in file order, which becomes the waypoint order.
+  const isLine = p => p.kind === "trkpt" || p.kind === "LineString";
+  const keptLine = new Set(thinPoints(all.filter(isLine), IMPORT_MAX_POINTS));
+  const pts = all.filter(p => !isLine(p) || keptLine.has(p));
+
+  // Map preview: selected points in orange
+  const preview = L.layerGroup().addTo(map);
+  const markers = pts.map(p => L.circleMarker([p.lat, p.lon], { radius: 4, color: "#f97316", weight: 2 }));
+  const refreshPreview = () => {
+    preview.clearLayers();
+    const checked = [...document.querySelectorAll('input[name="impPt"]:checked')].map(el => Number(el.value));
+    checked.forEach(i => markers[i].addTo(preview));
+    if (checked.length > 1) L.polyline(checked.map(i => [pts[i].lat, pts[i].lon]), { color: "#f97316", weight: 2, dashArray: "4 4" }).addTo(preview);
+  };
+  map.fitBounds(L.latLngBounds(pts.map(p => [p.lat, p.lon])), { padding: [30, 30] });
+
+  let result;
+  try {
+    result = await Swal.fire({
+      title: `Import ${esc(file.name)}`,
+      html: buildImportHtml(pts, pts.length < all.length),
+      customClass: { popup: "swal-wide" },
+      showCancelButton: true,
+      confirmButtonText: "Import",
+      focusConfirm: false,
+      didOpen: (popup) => {
+        const setAll = (on) => {
+          popup.querySelectorAll('input[name="impPt"]').forEach(el => { el.checked = on; });
+          refreshPreview();
+        };
+        popup.querySelector("#impAll").addEventListener("click", () => setAll(true));
+        popup.querySelector("#impNone").addEventListener("click", () => setAll(false));
+        popup.addEventListener("change", refreshPreview);
+        refreshPreview();
+      },
+      preConfirm: () => {
+        const selected = [...document.querySelectorAll('input[name="impPt"]:checked')].map(el => pts[Number(el.value)]);
+        if (selected.length === 0) return Swal.showValidationMessage("Select at least one point.");
+        return { selected, replace: document.getElementById("impReplace").checked };
+      }
+    });
+  } finally {
+    preview.remove();
+  }
+  if (!result.isConfirmed) return;
+
+  editHistory.record();
+  if (result.value.replace) clearWaypoints();
+  // One render and one session write for the whole list (not one addWaypoint() per point)
+  setWaypoints([...appState.waypoints, ...result.value.selected]);
+};
@@ -0,0 +1,163 @@
+/* globals L, map, Plotly, windLayer, currentLayer, MS_TO_KN */
+
+/* =========================================================
+   Tap-to-query weather inspector
+   TWS, TWD, gust, waves and current at a point + 5-day meteogram
+   ========================================================= */
+
+const METEOGRAM_DAYS = 5;
+const METEOGRAM_STEP = 3 * 3600;    // seconds
+
+/**
+ * @typedef {Object} WeatherPoint
+ * @property {number} tws - kn
+ * @property {number} twd - degrees, wind comes from
+ * @property {number} gust - kn
+ * @property {number} waves - significant height, m
+ * @property {number} currentSpeed - kn
+ * @property {number} currentDir - degrees, current goes to
+ */
+
+/**
+ * Direction the wind comes from, in degrees [0..360).
+ * @param {number} u
+ * @param {number} v
+ * @returns {number}
+ */
+function windFromDeg(u, v) {
+  return ((270 - Math.atan2(v, u) * 180 / Math.PI) % 360 + 360) % 360;
+}
+
+/**
+ * Direction the current goes to, in degrees [0..360).
+ * @param {number} u
+ * @param {number} v
+ * @returns {number}
+ */
+function currentToDeg(u, v) {
+  return ((90 - Math.atan2(v, u) * 180 / Math.PI) % 360 + 360) % 360;
+}
+
+/**
+ * Weather values at (lat, lon, epoch) read from the loaded wind and current GRIBs.
+ * Missing components are NaN.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} epoch
+ * @returns {WeatherPoint}
+ */
+window.weatherAt = function weatherAt(lat, lon, epoch) {
+  const out = { tws: NaN, twd: NaN, gust: NaN, waves: NaN, currentSpeed: NaN, currentDir: NaN };
+
+  const w = windLayer.sampleAt(lat, lon, epoch);
+  if (w) {
+    out.tws = Math.hypot(w.u, w.v) * MS_TO_KN;
+    out.twd = windFromDeg(w.u, w.v);
+    if (windLayer.overlayAvailable("gust")) out.gust = w.g * MS_TO_KN;
+    if (windLayer.overlayAvailable("waves")) out.waves = w.w;
+  }
+
+  const c = currentLayer.sampleAt(lat, lon, epoch);
+  if (c) {
+    out.currentSpeed = Math.hypot(c.u, c.v) * MS_TO_KN;
+    out.currentDir = currentToDeg(c.u, c.v);
+  }
+  return out;
+};
+
+/**
+ * Build popup HTML for inspector values. The meteogram is drawn later in `#inspectPlot`.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} epoch
+ * @param {WeatherPoint} x
+ * @returns {string}
+ */
+function buildInspectorHtml(lat, lon, epoch, x) {
+  const fmt = (val, digits, unit) => Number.isFinite(val) ? `${val.toFixed(digits)} ${unit}` : "—";
+  const rows = [
+    ["TWS", fmt(x.tws, 1, "kn")],
+    ["TWD", fmt(x.twd, 0, "°")],
+    ["Gust", fmt(x.gust, 1, "kn")],
+    ["Waves", fmt(x.waves, 1, "m")],
+    ["Current", Number.isFinite(x.currentSpeed) ? `${fmt(x.currentSpeed, 1, "kn")} → ${fmt(x.currentDir, 0, "°")}` : "—"]
+  ];
+
+  return `
+    <div style="font-size:13px;line-height:1.35; min-width: 240px;">
+      <div><b>${dateToStr(new Date(epoch * 1000))}</b></div>
+      <div style="opacity:.85;">${latLonToStr(lat, lon, getDMSType())}</div>
+      <hr style="border:none;border-top:1px solid rgba(0,0,0,.12); margin:8px 0;" />
+      ${rows.map(([k, v]) => `<div>${k}: <b>${v}</b></div>`).join("")}
+      <div id="inspectPlot" style="width:260px;height:140px;margin-top:6px;"></div>
+    </div>
+  `;
+}
+
+/**
+ * Draw TWS/gust (and waves on right axis when available) for the next days at (lat, lon).
+ * Stops at the end of the wind GRIB.
+ *
+ * @param {HTMLElement} div
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} epoch - first time of the meteogram
+ * @returns {void}
+ */
+function drawMeteogram(div, lat, lon, epoch) {
+  const meta = windLayer.getMeta();
+  if (!meta) return;
+  const gribEnd = meta.epochStart + meta.timeStamps[meta.timeStamps.length - 1] * 3600;
+  const end = Math.min(gribEnd, epoch + METEOGRAM_DAYS * 86400);
+
+  const t = [];
+  const tws = [];
+  const gust = [];
+  const waves = [];
+  for (let e = epoch; e <= end; e += METEOGRAM_STEP) {
+    const x = window.weatherAt(lat, lon, e);
+    t.push(new Date(e * 1000));
+    tws.push(x.tws);
+    gust.push(x.gust);
+    waves.push(x.waves);
+  }
+
+  const traces = [
+    { x: t, y: tws, name: "TWS", mode: "lines", line: { color: "#2563eb" } }
+  ];
+  if (gust.some(Number.isFinite)) traces.push({ x: t, y: gust, name: "Gust", mode: "lines", line: { color: "#dc2626", dash: "dot" } });
+  if (waves.some(Number.isFinite)) traces.push({ x: t, y: waves, name: "Waves", mode: "lines", yaxis: "y2", line: { color: "#9333ea" } });
+
+  const layout = {
+    margin: { l: 28, r: 28, t: 4, b: 24 },
+    font: { size: 9 },
+    showlegend: false,
+    xaxis: { tickformat: "%a" },
+    yaxis: { title: "kn", rangemode: "tozero" },
+    yaxis2: { title: "m", overlaying: "y", side: "right", rangemode: "tozero", showgrid: false }
+  };
+  Plotly.newPlot(div, traces, layout, { staticPlot: true });
+}
+
+/**
+ * Show inspector popup at (lat, lon) for the time currently displayed by the wind layer.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {void}
+ */
+window.inspectAt = function inspectAt(lat, lon) {
+  const epoch = windLayer.getEpoch();
+  if (!Number.isFinite(epoch)) return;
+
+  const x = window.weatherAt(lat, lon, epoch);
+  const popup = L.popup({ maxWidth: 300, className: "wpPopup" })
+    .setLatLng([lat, lon])
+    .setContent(buildInspectorHtml(lat, lon, epoch, x))
+    .openOn(map);
+
+  const div = popup.getElement()?.querySelector("#inspectPlot");
+  if (div && Number.isFinite(x.tws)) drawMeteogram(div, lat, lon, epoch);
+  popup.update();
+};
@@ -1,4 +1,4 @@
-/* globals L, appState, addWaypoint */
+/* globals L, appState, addWaypoint, lastRouteData, lastRoute */
 
 /* =========================================================
    Leaflet map layer for rcube iOS client
@@ -14,11 +14,23 @@ let routeLine;
 
 let windPane;
 let windCanvas;
+let heatCanvas;   // wind speed raster, under windCanvas
 
-let tapMode = "boat"; // "boat" or "wp"
+let currentPane;
+let currentCanvas;
+
+let tapMode = "boat"; // "boat", "wp" or "inspect"
 
 let orthoLines = []; // Leaflet polylines for great-circle segments
 
+/** @type {L.LayerGroup|null} */
+let isocLayer = null;
+let isocLines = [];  // Leaflet polylines, one per isochrone (same order as route.isoc)
+
+/** @type {L.LayerGroup|null} */
+let compareLayer = null;
+let compareBoats = []; // Leaflet circle markers, one per compared route
+
 function fmtNm(x) { return Number.isFinite(x) ? `${x.toFixed(2)} nm` : "—"; }
 function fmtDeg(x) { return Number.isFinite(x) ? `${x.toFixed(0)}°` : "—"; }
 
@@ -129,10 +141,12 @@ function redrawOrthoLines() {
 
     const path = getGreatCirclePath(prev.lat, prev.lon, wp.lat, wp.lon, 80);
 
+    // Not interactive: taps near a leg are caught by the map tap handler (waypoint insertion)
     const line = L.polyline(path, {
       color: "yellow",
       weight: 2,
-      opacity: 0.9
+      opacity: 0.9,
+      interactive: false
     }).addTo(map);
 
     orthoLines.push(line);
@@ -155,6 +169,8 @@ function redrawOrthoLines() {
  *    (previous waypoint, or boat if this is the first waypoint)
  *  - Initial orthodromic bearing from the previous point to this waypoint
  *
+ * A Delete button (`.wpDelete`) is wired by the marker on popup open.
+ *
  * All distances are expressed in nautical miles.
  * All bearings are expressed in degrees [0..360).
  *
@@ -204,6 +220,7 @@ function buildWaypointPopupHtml(iWp /* 0-based */) {
       <hr style="border:none;border-top:1px solid rgba(0,0,0,.12); margin:8px 0;" />
       <div>From start: <b>${fmtNm(distFromStart)}</b></div>
       <div>From prev: <b>${fmtNm(distFromPrev)}</b></div>
+      <div style="margin-top:8px;"><button class="btn wpDelete">Delete</button></div>
     </div>
   `;
 }
@@ -241,7 +258,7 @@ function cumulativeDistToWp(iWp) {
 
 /**
  * Initialize Leaflet map, create wind canvas pane, and bind map handlers.
- * Exposes `window.map` and `window.windCanvas`.
+ * Exposes `window.map`, `window.windCanvas`, `window.heatCanvas` and `window.currentCanvas`.
  *
  * @returns {void}
  */
@@ -251,13 +268,28 @@ window.initMap = function initMap() {
   // Custom pane for wind (below markers)
   windPane = map.createPane("windPane");
   windPane.style.zIndex = 350; // above base layers, below overlays/markers
+  heatCanvas = L.DomUtil.create("canvas", "heat-canvas", windPane);
+  heatCanvas.style.position = "absolute";
+  heatCanvas.style.pointerEvents = "none";
   windCanvas = L.DomUtil.create("canvas", "wind-canvas", windPane);
   windCanvas.style.position = "absolute";
   windCanvas.style.pointerEvents = "none";
 
+  // Custom pane for ocean current arrows (above wind, below overlays/markers)
+  currentPane = map.createPane("currentPane");
+  currentPane.style.zIndex = 360;
+  currentCanvas = L.DomUtil.create("canvas", "current-canvas", currentPane);
+  currentCanvas.style.position = "absolute";
+  currentCanvas.style.pointerEvents = "none";
+
   // Wire wind layer redraw triggers
   map.on("moveend zoomend resize", () => {
     if (window.windLayer) window.windLayer.redraw();
+    if (window.currentLayer) window.currentLayer.redraw();
+  });
+  // Particles are in canvas pixels: freeze animation while the map moves
+  map.on("movestart zoomstart", () => {
+    if (window.windLayer) window.windLayer.pause();
   });
 
   // --- Robust tap/click handler (works on iPhone + avoids accidental waypoint on pan/zoom) ---
@@ -289,8 +321,11 @@ window.initMap = function initMap() {
   function applyTapAt(latlng) {
     const lat = latlng.lat;
     const lon = latlng.lng;
+    if (tapMode === "inspect") return window.inspectAt(lat, lon);
+
+    window.editHistory.record();
     if (tapMode === "boat") window.setStartBoat(lat, lon);
-    else window.addWaypoint(lat, lon);
+    else tapWaypoint(latlng);
   }
 
   // ----- Desktop: prevent "mouseup click" after dragging -----
@@ -416,6 +451,8 @@ window.initMap = function initMap() {
   // expose
   window.map = map;
   window.windCanvas = windCanvas;
+  window.heatCanvas = heatCanvas;
+  window.currentCanvas = currentCanvas;
 
   // Prevent UI clicks/taps from reaching the map + close popups
   const ui = document.getElementById("ui");
@@ -469,8 +506,9 @@ window.setLandGeoJson = async function setLandGeoJson(url) {
  * Set tap mode on the map.
  * - "boat": next tap sets boat position
  * - "wp": next taps add waypoints
+ * - "inspect": next taps show weather values at the tapped point
  *
- * @param {"boat"|"wp"} m
+ * @param {"boat"|"wp"|"inspect"} m
  * @returns {void}
  */
 window.setTapMode = function setTapMode(m) {
@@ -538,6 +576,31 @@ window.setStartBoat = function setStartBoat(lat, lon, tack = 0) {
     boatMarker.setLatLng([lat, lon]);
   }
   // Also clear route + playback state
+  clearRouteAndPlayback();
+  redrawOrthoLines();
+  saveSession(appState);
+};
+
+/**
+ * Remove the boat marker and unset the start position (undo of the first boat placement).
+ * @returns {void}
+ */
+window.removeStartBoat = function removeStartBoat() {
+  appState.boat = { lat: null, lon: null };
+  if (boatMarker) boatMarker.remove();
+  boatMarker = null;
+  clearRouteAndPlayback();
+  redrawOrthoLines();
+  saveSession(appState);
+};
+
+/**
+ * Clear route drawing, player and wind/current time sync.
+ * Called whenever the route no longer matches boat/waypoints.
+ *
+ * @returns {void}
+ */
+function clearRouteAndPlayback() {
   if (window.clearRoute) window.clearRoute();
   if (window.player && window.player.reset) window.player.reset();
 
@@ -546,11 +609,15 @@ window.setStartBoat = function setStartBoat(lat, lon, tack = 0) {
     window.windLayer.setRouteState(null);
     window.windLayer.redraw();
   }
+  if (window.currentLayer) {
+    window.currentLayer.setRouteState(null);
+    window.currentLayer.redraw();
+  }
   lastRouteData = null; // global
+  lastRoute = null;
+  if (window.storeLastRoute) window.storeLastRoute(null);
   window.player.syncSlider();
-  redrawOrthoLines();
-  saveSession(appState);
-};
+}
 
 /**
  * Updates the boat visual state:
@@ -638,101 +705,208 @@ window.setBoatFromGPS = function setBoatFromGPS() {
  */
 window.setBoatFromGps = window.setBoatFromGPS;
 
+const BIND_POPUP_TIMEOUT = 2000; // ms, popup shown after adding a waypoint
+const INSERT_TOLERANCE_PX = 12;   // tap closer than this to a leg inserts a waypoint into it
+
 /**
- * Add a waypoint if does not exist.
- * Show marker at (lat, lon) whatever
- * Waypoints order matters: last waypoint is destination.
+ * Rebuild all waypoint markers from `appState.waypoints`.
+ * Markers are numbered from 1, draggable, and their popup offers a Delete button.
  *
- * @param {number} lat
- * @param {number} lon
  * @returns {void}
  */
-window.addWaypoint = function addWaypoint(lat, lon) {
-  const BIND_POPUP_TIMEOUT = 2000; // ms
-  appState.waypoints.push({ lat, lon });
-
-  const iWp = appState.waypoints.length - 1; // 0-based
-  const idx = iWp + 1;
+function renderWaypointMarkers() {
+  wpMarkers.forEach(m => m.remove());
+  wpMarkers = appState.waypoints.map((wp, iWp) => {
+    const html = `<div style="background:#111827;color:#fff;border-radius:999px;padding:2px 7px;font-size:12px;transform: translate(-50%,-50%);">${iWp + 1}</div>`;
+    const icon = L.divIcon({ html, className: "", iconSize: [0, 0] });
 
-  const html = `<div style="background:#111827;color:#fff;border-radius:999px;padding:2px 7px;font-size:12px;transform: translate(-50%,-50%);">${idx}</div>`;
-  const icon = L.divIcon({ html, className: "", iconSize: [0,0] });
+    const m = L.marker([wp.lat, wp.lon], { icon, draggable: true }).addTo(map);
+    m.bindPopup(() => buildWaypointPopupHtml(iWp), {
+      closeButton: true,
+      autoClose: true,
+      closeOnClick: false,
+      className: "wpPopup"
+    });
 
-  const m = L.marker([lat, lon], { icon }).addTo(map);
-  wpMarkers.push(m);
+    // When user taps an existing waypoint marker: open popup
+    m.on("click", () => {
+      m.openPopup();
+    });
+    m.on("popupopen", (e) => {
+      const btn = e.popup.getElement()?.querySelector(".wpDelete");
+      if (btn) btn.addEventListener("click", () => {
+        window.editHistory.record();
+        window.deleteWaypoint(iWp);
+      });
+    });
 
-  m.bindPopup(() => buildWaypointPopupHtml(iWp), {
-    closeButton: true,
-    autoClose: true,
-    closeOnClick: false,
-    className: "wpPopup"
+    // Live ortho lines while dragging (the route no longer matches), save on drop
+    m.on("dragstart", () => {
+      window.editHistory.record();
+      clearRouteAndPlayback();
+    });
+    m.on("drag", () => {
+      const ll = m.getLatLng();
+      appState.waypoints[iWp] = { lat: ll.lat, lon: ll.lng };
+      redrawOrthoLines();
+    });
+    m.on("dragend", () => {
+      const ll = m.getLatLng();
+      window.moveWaypoint(iWp, ll.lat, ll.lng);
+    });
+    return m;
   });
+}
 
-  // When user taps an existing waypoint marker: open popup
-  m.on("click", () => {
-    m.openPopup();
-  });
-  // Open immediately after adding
+/**
+ * Open popup of waypoint iWp for a short time.
+ * @param {number} iWp
+ * @returns {void}
+ */
+function flashWaypointPopup(iWp) {
+  const m = wpMarkers[iWp];
+  if (!m) return;
   m.openPopup();
   setTimeout(() => {
     if (map.hasLayer(m) && m.isPopupOpen()) {
       m.closePopup();
     }
   }, BIND_POPUP_TIMEOUT);
+}
+
+/**
+ * Index of the leg (boat->WP1 is leg 0, WP1->WP2 is leg 1...) passing within
+ * INSERT_TOLERANCE_PX of `latlng` on screen.
+ *
+ * @param {L.LatLng} latlng
+ * @returns {number} leg index, -1 if none
+ */
+function findLegNear(latlng) {
+  const p = map.latLngToLayerPoint(latlng);
+  let best = -1;
+  let bestDist = INSERT_TOLERANCE_PX;
+
+  orthoLines.forEach((line, i) => {
+    const pts = line.getLatLngs().map(ll => map.latLngToLayerPoint(ll));
+    for (let j = 1; j < pts.length; j++) {
+      const d = L.LineUtil.pointToSegmentDistance(p, pts[j - 1], pts[j]);
+      if (d < bestDist) {
+        bestDist = d;
+        best = i;
+      }
+    }
+  });
+  return best;
+}
+
+/**
+ * Waypoint tap: insert into the leg under the tap when there is one, else append.
+ *
+ * @param {L.LatLng} latlng
+ * @returns {void}
+ */
+function tapWaypoint(latlng) {
+  const leg = findLegNear(latlng);
+  if (leg >= 0) window.insertWaypoint(leg, latlng.lat, latlng.lng);
+  else window.addWaypoint(latlng.lat, latlng.lng);
+}
+
+/**
+ * Add a waypoint if does not exist.
+ * Show marker at (lat, lon) whatever
+ * Waypoints order matters: last waypoint is destination.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {void}
+ */
+window.addWaypoint = function addWaypoint(lat, lon) {
+  window.insertWaypoint(appState.waypoints.length, lat, lon);
+};
 
+/**
+ * Insert a waypoint before index iWp (iWp = length appends) and renumber markers.
+ *
+ * @param {number} iWp - 0-based index of the new waypoint
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {void}
+ */
+window.insertWaypoint = function insertWaypoint(iWp, lat, lon) {
+  const i = Math.max(0, Math.min(appState.waypoints.length, iWp));
+  appState.waypoints.splice(i, 0, { lat, lon });
+  renderWaypointMarkers();
+  flashWaypointPopup(i);
+  clearRouteAndPlayback();
   redrawOrthoLines();
   saveSession(appState);
 };
 
 /**
- * Remove last waypoint (if any) and renumber markers.
+ * Move waypoint iWp.
+ *
+ * @param {number} iWp - 0-based index
+ * @param {number} lat
+ * @param {number} lon
  * @returns {void}
  */
-window.undoWaypoint = function undoWaypoint() {
-  if (appState.waypoints.length === 0) return;
+window.moveWaypoint = function moveWaypoint(iWp, lat, lon) {
+  if (iWp < 0 || iWp >= appState.waypoints.length) return;
+  appState.waypoints[iWp] = { lat, lon };
+  wpMarkers[iWp].setLatLng([lat, lon]);
+  clearRouteAndPlayback();
+  redrawOrthoLines();
+  saveSession(appState);
+};
 
-  appState.waypoints.pop();
-  const m = wpMarkers.pop();
-  if (m) m.remove();
+/**
+ * Delete waypoint iWp and renumber markers.
+ *
+ * @param {number} iWp - 0-based index
+ * @returns {void}
+ */
+window.deleteWaypoint = function deleteWaypoint(iWp) {
+  if (iWp < 0 || iWp >= appState.waypoints.length) return;
+  map.closePopup();
+  appState.waypoints.splice(iWp, 1);
+  renderWaypointMarkers();
+  clearRouteAndPlayback();
+  redrawOrthoLines();
+  saveSession(appState);
+};
 
-  // Renumber
-  wpMarkers.forEach((mk, i) => {
-    const html = `<div style="background:#111827;color:#fff;border-radius:999px;padding:2px 7px;font-size:12px;transform: translate(-50%,-50%);">${i + 1}</div>`;
-    mk.setIcon(L.divIcon({ html, className: "", iconSize: [0, 0] }));
-  });
-  // Rebind popups with updated waypoint indices
-  wpMarkers.forEach((mk, i) => {
-    mk.bindPopup(() => buildWaypointPopupHtml(i), {
-      closeButton: true,
-      autoClose: true,
-      closeOnClick: false,
-      className: "wpPopup"
-    });
-  });
+/**
+ * Replace all waypoints (session restore) without touching the route.
+ *
+ * @param {Array<{lat:number, lon:number}>} wps
+ * @returns {void}
+ */
+window.setWaypoints = function setWaypoints(wps) {
+  appState.waypoints = wps.map(wp => ({ lat: wp.lat, lon: wp.lon }));
+  renderWaypointMarkers();
   redrawOrthoLines();
   saveSession(appState);
 };
 
+/**
+ * Remove last waypoint (if any).
+ * @returns {void}
+ */
+window.undoWaypoint = function undoWaypoint() {
+  window.deleteWaypoint(appState.waypoints.length - 1);
+};
+
 /**
  * Clear all waypoints and markers.
  * @returns {void}
  */
 window.clearWaypoints = function clearWaypoints() {
   appState.waypoints = [];
-  wpMarkers.forEach(m => m.remove());
-  wpMarkers = [];
+  renderWaypointMarkers();
 
   // Also clear route + playback state
-  if (window.clearRoute) window.clearRoute();
-  if (window.player && window.player.reset) window.player.reset();
-
-  // Optional: clear wind time sync / redraw
-  if (window.windLayer) {
-    window.windLayer.setRouteState(null);
-    window.windLayer.redraw();
-  }
+  clearRouteAndPlayback();
   redrawOrthoLines();
-  lastRouteData = null; // global
-  window.player.syncSlider();
   saveSession(appState);
 };
 
@@ -778,6 +952,125 @@ window.setRoutePolyline = function setRoutePolyline(latlngs) {
   }
 };
 
+/**
+ * Color of isochrone i among n: blue (early) -> red (late).
+ *
+ * @param {number} i
+ * @param {number} n
+ * @returns {string} CSS color
+ */
+function isocColor(i, n) {
+  const ratio = n > 1 ? i / (n - 1) : 0;
+  const hue = Math.round(240 * (1 - ratio));
+  return `hsl(${hue}, 90%, 45%)`;
+}
+
+/**
+ * Render isochrones as a separate layer group, each curve colored by time.
+ * Replaces previous isochrones. Empty list just clears the layer.
+ *
+ * @param {Array<Array<[number,number]>>} isocs - list of isochrones, each a list of [lat, lon]
+ * @returns {void}
+ */
+window.setIsochrones = function setIsochrones(isocs) {
+  window.clearIsochrones();
+  if (!Array.isArray(isocs) || isocs.length === 0) return;
+
+  isocLayer = L.layerGroup();
+  isocLines = isocs.map((iso, i) => L.polyline(iso, {
+    color: isocColor(i, isocs.length),
+    weight: 1,
+    opacity: 0.35,
+    interactive: false
+  }).addTo(isocLayer));
+
+  isocLayer.addTo(map);
+};
+
+/**
+ * Synchronize isochrones with player step k.
+ * Isochrone k-1 (reached at step k) is emphasized, past ones stay visible, future ones are faded.
+ *
+ * @param {number} k - player step index
+ * @returns {void}
+ */
+window.setIsochroneStep = function setIsochroneStep(k) {
+  const iCur = k - 1;
+  isocLines.forEach((line, i) => {
+    if (i === iCur) line.setStyle({ weight: 3, opacity: 1.0 });
+    else if (i < iCur) line.setStyle({ weight: 1, opacity: 0.6 });
+    else line.setStyle({ weight: 1, opacity: 0.2 });
+  });
+  if (isocLines[iCur]) isocLines[iCur].bringToFront();
+};
+
+/**
+ * Remove isochrones layer from the map (if any).
+ * @returns {void}
+ */
+window.clearIsochrones = function clearIsochrones() {
+  if (isocLayer) {
+    isocLayer.remove();
+    isocLayer = null;
+  }
+  isocLines = [];
+};
+
+/**
+ * Render compared routes (one colored polyline + one ghost boat per route).
+ * Replaces previous compared routes.
+ *
+ * @param {Array<{label:string, color:string, latlngs:Array<[number,number]>}>} routes
+ * @returns {void}
+ */
+window.setCompareRoutes = function setCompareRoutes(routes) {
+  window.clearCompareRoutes();
+  if (!Array.isArray(routes) || routes.length === 0) return;
+
+  compareLayer = L.layerGroup();
+  for (const r of routes) {
+    L.polyline(r.latlngs, { color: r.color, weight: 3, opacity: 0.9 })
+      .bindPopup(r.label)
+      .addTo(compareLayer);
+
+    const start = r.latlngs[0];
+    const boat = L.circleMarker(start, {
+      radius: 7,
+      color: "#111827",
+      weight: 1,
+      fillColor: r.color,
+      fillOpacity: 1.0,
+      interactive: false
+    }).addTo(compareLayer);
+    compareBoats.push(boat);
+  }
+  compareLayer.addTo(map);
+};
+
+/**
+ * Move ghost boats of compared routes (same order as setCompareRoutes()).
+ *
+ * @param {Array<{lat:number, lon:number}>} positions
+ * @returns {void}
+ */
+window.setCompareBoatPositions = function setCompareBoatPositions(positions) {
+  positions.forEach((p, i) => {
+    if (p && compareBoats[i]) compareBoats[i].setLatLng([p.lat, p.lon]);
+  });
+};
+
+/**
+ * Remove compared routes layer from the map (if any).
+ * @returns {void}
+ */
+window.clearCompareRoutes = function clearCompareRoutes() {
+  if (compareLayer) {
+    compareLayer.remove();
+    compareLayer = null;
+  }
+  compareBoats = [];
+};
+
 /**
  * Updates the boat geographic position.
  * Does not modify heading or tack.
@@ -808,6 +1101,8 @@ window.clearRoute = function clearRoute() {
     routeLine.remove();
     routeLine = null;
   }
+  window.clearIsochrones();
+  window.clearCompareRoutes();
   if (map) map.closePopup();
 };
 
@@ -0,0 +1,146 @@
+/* globals Plotly, player */
+
+/* =========================================================
+   Route meteogram panel
+   TWS, TWA, gust, SOG, waves and current along the route, cursor linked to the player
+   ========================================================= */
+
+/**
+ * One subplot per series. `key` is the RoutePoint field.
+ * Series with no finite value on the whole route (e.g. no wave GRIB) are skipped.
+ */
+const METEOGRAM_SERIES = [
+  { key: "tws", title: "TWS kn", color: "#2563eb" },
+  { key: "twa", title: "TWA °", color: "#0891b2" },
+  { key: "gust", title: "Gust kn", color: "#dc2626" },
+  { key: "sog", title: "SOG kn", color: "#111827" },
+  { key: "waves", title: "Waves m", color: "#9333ea" },
+  { key: "currentSpeed", title: "Current kn", color: "#ea580c" }
+];
+
+/**
+ * Non-modal panel showing route series against time.
+ * Hovering or clicking the chart moves the player; the player moves the cursor through setCursor().
+ */
+window.routeMeteogram = (function makeRouteMeteogram() {
+  /** @type {RouteData|null} */
+  let route = null;
+  let k = 0;
+  let visible = false;
+  let drawn = false;
+
+  /** @returns {HTMLElement|null} */
+  function plotDiv() {
+    return document.getElementById("meteoPlot");
+  }
+
+  /**
+   * Vertical cursor line at route step k.
+   * @returns {object} Plotly shape
+   */
+  function cursorShape() {
+    const t = new Date(route.pts[k].t * 1000);
+    return {
+      type: "line", xref: "x", yref: "paper", x0: t, x1: t, y0: 0, y1: 1,
+      line: { color: "#f59e0b", width: 2 }
+    };
+  }
+
+  /**
+   * Build the chart for the current route.
+   * @returns {void}
+   */
+  function draw() {
+    const div = plotDiv();
+    if (!div) return;
+    div.textContent = route ? "" : "No route computed";
+    if (!route) return;
+
+    const t = route.pts.map(p => new Date(p.t * 1000));
+    const series = METEOGRAM_SERIES.filter(s => route.pts.some(p => Number.isFinite(p[s.key])));
+
+    const traces = series.map((s, i) => ({
+      x: t,
+      y: route.pts.map(p => p[s.key]),
+      name: s.title,
+      mode: "lines",
+      line: { color: s.color, width: 1.5 },
+      yaxis: i === 0 ? "y" : `y${i + 1}`,
+      hovertemplate: "%{y:.1f}<extra></extra>"
+    }));
+
+    const layout = {
+      grid: { rows: series.length, columns: 1, pattern: "coupled", ygap: 0.15 },
+      margin: { l: 52, r: 8, t: 6, b: 28 },
+      font: { size: 10 },
+      showlegend: false,
+      hovermode: "x unified",
+      xaxis: { tickformat: "%d %Hh" },
+      shapes: [cursorShape()]
+    };
+    series.forEach((s, i) => {
+      layout[i === 0 ? "yaxis" : `yaxis${i + 1}`] = { title: { text: s.title, font: { size: 9 } }, fixedrange: true };
+    });
+
+    Plotly.newPlot(div, traces, layout, { displayModeBar: false, responsive: true });
+    drawn = true;
+
+    const onScrub = (ev) => {
+      const pt = ev.points && ev.points[0];
+      if (pt && pt.pointIndex !== k) player.setIndex(pt.pointIndex);
+    };
+    div.on("plotly_hover", onScrub);
+    div.on("plotly_click", onScrub);
+  }
+
+  /**
+   * Attach the route shown by the player (null: no route).
+   * @param {RouteData|null} r
+   * @returns {void}
+   */
+  function setRoute(r) {
+    route = r;
+    k = 0;
+    const div = plotDiv();
+    if (drawn && div) Plotly.purge(div);
+    drawn = false;
+    if (visible) draw();
+  }
+
+  /**
+   * Move the cursor to route step `newK`. Called by the player on each update.
+   * @param {number} newK
+   * @returns {void}
+   */
+  function setCursor(newK) {
+    k = newK;
+    if (!visible || !drawn || !route) return;
+    Plotly.relayout(plotDiv(), { shapes: [cursorShape()] });
+  }
+
+  /**
+   * Show or hide the panel.
+   * @param {boolean} on
+   * @returns {void}
+   */
+  function show(on) {
+    visible = !!on;
+    const panel = document.getElementById("meteoPanel");
+    if (panel) panel.style.display = visible ? "" : "none";
+    if (!visible) return;
+    if (!drawn) draw();
+    else setCursor(k);
+  }
+
+  /** @returns {void} */
+  function toggle() {
+    show(!visible);
+  }
+
+  /** @returns {boolean} */
+  function isVisible() {
+    return visible;
+  }
+
+  return { setRoute, setCursor, show, toggle, isVisible };
+})();
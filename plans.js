@@ -0,0 +1,257 @@
+/* globals Swal, appState, saveSession, setStartBoat, removeStartBoat, setWaypoints, showRoute,
+           parseRouteResponse, routeJsonForStorage, editHistory, epochToDatetimeLocalValue, validateSessionState */
+
+/* =========================================================
+   Named route plans library (localStorage)
+   ========================================================= */
+
+const PLANS_KEY = "rcube:plans:v1";
+
+/** appState keys kept out of plans: display and underway preferences belong to the user, not to a plan */
+const PLAN_NOT_STORED = ["apiUrl", "windMode", "overlay", "coordFormat", "autoRouteMin", "autoRouteOnNewRun"];
+
+/**
+ * @typedef {Object} RoutePlan
+ * @property {string} name
+ * @property {number} savedAt - ms since epoch
+ * @property {Object<string, any>} state - appState without PLAN_NOT_STORED keys
+ * @property {any} [routeJson] - raw REQ.ROUTING response of the last computed route
+ */
+
+/**
+ * Read all plans.
+ * @returns {Object<string, RoutePlan>} plans by name, {} when none or unreadable
+ */
+function readPlans() {
+  try {
+    const raw = localStorage.getItem(PLANS_KEY);
+    if (!raw) return {};
+    const payload = JSON.parse(raw);
+    return (payload && payload.version === 1 && payload.plans && typeof payload.plans === "object")
+      ? payload.plans
+      : {};
+  } catch (e) {
+    console.warn("readPlans failed:", e);
+    return {};
+  }
+}
+
+/**
+ * Write all plans.
+ * @param {Object<string, RoutePlan>} plans
+ * @returns {void}
+ * @throws {Error} when storage is full or unavailable
+ */
+function writePlans(plans) {
+  try {
+    localStorage.setItem(PLANS_KEY, JSON.stringify({ version: 1, plans }));
+  } catch (e) {
+    throw new Error(`Cannot store plans: ${e.message || e}`);
+  }
+}
+
+/**
+ * Plans sorted by most recent first.
+ * @returns {RoutePlan[]}
+ */
+window.listPlans = function listPlans() {
+  return Object.values(readPlans()).sort((a, b) => b.savedAt - a.savedAt);
+};
+
+/**
+ * Save current setup under `name` (overwrites a plan with the same name).
+ * @param {string} name
+ * @param {boolean} withRoute - also store the last computed route (without isochrones)
+ * @returns {void}
+ * @throws {Error} when storage is full
+ */
+window.savePlan = function savePlan(name, withRoute) {
+  const state = {};
+  for (const [k, v] of Object.entries(appState)) {
+    if (!PLAN_NOT_STORED.includes(k)) state[k] = v;
+  }
+  const plan = { name, savedAt: Date.now(), state: JSON.parse(JSON.stringify(state)) };
+  if (withRoute && window.lastRouteData) plan.routeJson = routeJsonForStorage(window.lastRouteData);
+
+  const plans = readPlans();
+  plans[name] = plan;
+  writePlans(plans);
+};
+
+/**
+ * Make plan `name` the current setup: boat, waypoints, start time, settings and route if stored.
+ * Recorded in the edit history.
+ *
+ * @param {string} name
+ * @returns {Promise<void>}
+ * @throws {Error} when the plan does not exist
+ */
+window.loadPlan = async function loadPlan(name) {
+  const plan = readPlans()[name];
+  if (!plan) throw new Error(`Unknown plan: ${name}`);
+
+  // Same field checks as the session; invalid fields keep their current value
+  const { state, warnings } = validateSessionState(plan.state, appState);
+  if (warnings.length > 0) console.warn(`Plan ${name}:`, warnings);
+
+  editHistory.record();
+  Object.assign(appState, state);
+
+  if (Number.isFinite(state.boat.lat)) setStartBoat(state.boat.lat, state.boat.lon, state.boat.tack);
+  else removeStartBoat();
+  setWaypoints(state.waypoints);
+
+  if (Number.isFinite(appState.startEpoch)) {
+    document.getElementById("startTime").value = epochToDatetimeLocalValue(appState.startEpoch);
+  }
+  if (plan.routeJson) {
+    await showRoute(appState, plan.routeJson, parseRouteResponse(plan.routeJson));
+  }
+  saveSession(appState);
+};
+
+/**
+ * Rename a plan.
+ * @param {string} oldName
+ * @param {string} newName
+ * @returns {void}
+ * @throws {Error} when `oldName` does not exist or `newName` is taken
+ */
+window.renamePlan = function renamePlan(oldName, newName) {
+  const plans = readPlans();
+  if (!plans[oldName]) throw new Error(`Unknown plan: ${oldName}`);
+  if (plans[newName]) throw new Error(`Plan already exists: ${newName}`);
+  plans[newName] = { ...plans[oldName], name: newName };
+  delete plans[oldName];
+  writePlans(plans);
+};
+
+/**
+ * Delete a plan (no-op when it does not exist).
+ * @param {string} name
+ * @returns {void}
+ */
+window.deletePlan = function deletePlan(name) {
+  const plans = readPlans();
+  delete plans[name];
+  writePlans(plans);
+};
+
+/**
+ * "Save plan" dialog: name + include route option.
+ * @returns {Promise<void>}
+ */
+window.openSavePlanDialog = async function openSavePlanDialog() {
+  const names = window.listPlans().map(p => p.name);
+  const html = `
+    <div class="settingsBox" style="text-align:left;display:grid;gap:10px;">
+      <input id="planName" class="swal2-input" style="margin:0;" placeholder="Plan name" list="planNames"/>
+      <datalist id="planNames">${names.map(n => `<option value="${esc(n)}">`).join("")}</datalist>
+      <label style="display:flex; gap:6px; align-items:center;">
+        <input type="checkbox" id="planWithRoute" ${window.lastRouteData ? "checked" : "disabled"}/>
+        <b>Include last route</b>
+      </label>
+    </div>`;
+
+  const result = await Swal.fire({
+    title: "Save plan",
+    html,
+    showCancelButton: true,
+    confirmButtonText: "Save",
+    focusConfirm: false,
+    preConfirm: () => {
+      const name = document.getElementById("planName").value.trim();
+      if (!name) return Swal.showValidationMessage("Name required.");
+      return { name, withRoute: document.getElementById("planWithRoute").checked };
+    }
+  });
+  if (!result.isConfirmed) return;
+
+  const { name, withRoute } = result.value;
+  if (names.includes(name)) {
+    const ok = await Swal.fire({ title: `Replace "${esc(name)}"?`, showCancelButton: true, confirmButtonText: "Replace" });
+    if (!ok.isConfirmed) return;
+  }
+  window.savePlan(name, withRoute);
+  await Swal.fire({ title: "Plan saved", icon: "success", timer: 1200, showConfirmButton: false });
+};
+
+/**
+ * Build the plans table: one row per plan with Load / Rename / Delete buttons.
+ * @param {RoutePlan[]} plans
+ * @returns {string}
+ */
+function buildPlansHtml(plans) {
+  if (plans.length === 0) return "<div>No saved plan.</div>";
+
+  const rows = plans.map((p, index) => {
+    const nWp = (p.state.waypoints || []).length;
+    const info = `${esc(p.state.model || "")} · ${nWp} WP${p.routeJson ? " · route" : ""}`;
+    return `
+      <tr style="background-color: ${index % 2 === 0 ? '#f9f9f9' : '#ffffff'};">
+        <td style="padding:6px 8px;">
+          <b>${esc(p.name)}</b><br>
+          <small style="opacity:.75;">${dateToStr(new Date(p.savedAt))} · ${info}</small>
+        </td>
+        <td style="padding:6px 4px;white-space:nowrap;" data-plan="${esc(p.name)}">
+          <button class="btn" data-op="load">Load</button>
+          <button class="btn" data-op="rename">✏️</button>
+          <button class="btn" data-op="delete">🗑️</button>
+        </td>
+      </tr>`;
+  }).join("");
+
+  return `<table style="border-collapse:collapse;width:100%;text-align:left;font-size:13px;"><tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * "Plans" dialog: load, rename or delete saved plans.
+ * Rename and delete come back to the list.
+ *
+ * @returns {Promise<void>}
+ */
+window.openPlansDialog = async function openPlansDialog() {
+  for (;;) {
+    let op = null;
+    let name = null;
+
+    await Swal.fire({
+      title: "Plans",
+      html: buildPlansHtml(window.listPlans()),
+      customClass: { popup: "swal-wide" },
+      showConfirmButton: false,
+      showCancelButton: true,
+      cancelButtonText: "Close",
+      didOpen: (popup) => {
+        popup.addEventListener("click", (e) => {
+          const btn = e.target.closest("button[data-op]");
+          if (!btn) return;
+          op = btn.dataset.op;
+          name = btn.parentElement.dataset.plan;
+          Swal.close();
+        });
+      }
+    });
+    if (!op) return;
+
+    if (op === "load") {
+      await window.loadPlan(name);
+      return;
+    }
+    if (op === "rename") {
+      const r = await Swal.fire({
+        title: "Rename plan",
+        input: "text",
+        inputValue: name,
+        showCancelButton: true,
+        confirmButtonText: "Rename",
+        inputValidator: (v) => (!v.trim() ? "Name required." : null)
+      });
+      if (r.isConfirmed && r.value.trim() !== name) window.renamePlan(name, r.value.trim());
+    }
+    if (op === "delete") {
+      const r = await Swal.fire({ title: `Delete "${esc(name)}"?`, showCancelButton: true, confirmButtonText: "Delete" });
+      if (r.isConfirmed) window.deletePlan(name);
+    }
+  }
+};
@@ -1,4 +1,5 @@
-/* globals Swal, apiUrl, REQ, setRoutePolyline, setBoatPosition, windLayer */
+/* globals Swal, apiUrl, REQ, setRoutePolyline, setIsochrones, setIsochroneStep, setCompareBoatPositions,
+           clearCompareRoutes, setBoatPosition, windLayer, currentLayer, weatherTimeline, routeMeteogram */
 
 /* =========================================================
    Routing client + playback controller
@@ -6,14 +7,79 @@
 
 /**
  * @typedef {{lat:number, lon:number}} LatLon
- * @typedef {{lat:number, lon:number, t:number}} RoutePoint
- * @typedef {{t0Epoch:number, dtRoute:number, pts:RoutePoint[], gribName:string, currentGrib:string}} RouteData
+ * @typedef {Array<[number, number]>} Isochrone - list of [lat, lon]
  */
 
-window.lastRouteData = null;        // raw JSON returned by REQ.ROUTING
+/**
+ * One step of the computed route. Numeric fields the server omits are NaN.
+ * @typedef {Object} RoutePoint
+ * @property {number} toIndexWp - index of the waypoint the boat heads to
+ * @property {number} lat
+ * @property {number} lon
+ * @property {number} t - epoch (s)
+ * @property {number} sail - sail index in the polar sail list
+ * @property {boolean} motor
+ * @property {number} amure - 0 starboard, 1 port
+ * @property {number} cog - degrees
+ * @property {number} sog - kn
+ * @property {number} twa - degrees, negative on port tack
+ * @property {number} twd - degrees
+ * @property {number} tws - kn
+ * @property {number} gust - kn
+ * @property {number} waves - m
+ * @property {number} currentDir - degrees
+ * @property {number} currentSpeed - kn
+ * @property {number} stamina
+ */
+
+/**
+ * Route-level figures computed from the points.
+ * @typedef {Object} RouteTotals
+ * @property {number} eta - epoch of the last point
+ * @property {number} duration - seconds from start to ETA
+ * @property {number} dist - nm along the track
+ * @property {number} avgSog - kn
+ * @property {number} maxTws - kn
+ * @property {number} maxGust - kn, NaN without gust
+ * @property {number} maxWaves - m, NaN without waves
+ * @property {number} motorDuration - seconds under motor (motor steps × dtRoute)
+ * @property {number} nTack - changes of TWA sign
+ * @property {number} nSailChange
+ */
+
+/**
+ * Parsed REQ.ROUTING response.
+ * @typedef {Object} RouteData
+ * @property {string} boatName - key of the boat entry in the server response
+ * @property {number} t0Epoch
+ * @property {number} dtRoute - seconds between two points
+ * @property {RoutePoint[]} pts
+ * @property {Isochrone[]} isoc
+ * @property {string} gribName
+ * @property {string} currentGrib
+ * @property {string} polar
+ * @property {string} wavePolar
+ * @property {RouteTotals} totals
+ * @property {Object<string, any>} params - server echo: every scalar field of the boat entry
+ * @property {Array<{lat:number, lon:number}>} [waypoints] - waypoints the route was computed with
+ */
+
+/**
+ * Server track row layout: track[k][TRACK_COL.X].
+ */
+const TRACK_COL = {
+  TO_INDEX_WP: 0, LAT: 1, LON: 2, TIME: 3, SAIL: 4, MOTOR: 5, AMURE: 6,
+  COG: 7, SOG: 8, TWA: 9, TWD: 10, TWS: 11, GUST: 12, WAVES: 13,
+  CURRENT_DIR: 14, CURRENT_SPEED: 15, STAMINA: 16
+};
+
+window.lastRouteData = null;        // raw JSON returned by REQ.ROUTING (route reports)
+window.lastRoute = null;            // parsed RouteData of lastRouteData
 window.lastCurrentGribFile = "";    // from last route response: "currentGrib"
 window.lastGribFile = "";           // from last route response: "grib"
 
+const LAST_ROUTE_KEY = "rcube:lastRoute:v1";
+
 const routeParam = {
   initialAmure: 1,
   model: "GFS",
@@ -61,7 +127,7 @@ function encodeWaypoints(wps) {
  * IMPORTANT: no URL encoding because server doesn't decode %xx.
  *
  * Uses settings from `state` for:
- *  - model, timeStep,  polar, wavePolar, currentGrib, forbid, withWaves, withCurrent
+ *  - model, timeStep,  polar, wavePolar, currentGrib, forbid, withWaves, withCurrent, isoc
  *
  * Other parameters come from `routeParam`.
  *
@@ -89,6 +155,7 @@ function buildRoutePostBody(state) {
   parts.push(`forbid=${state.forbid ? "true" : "false"}`);  // true | false
   parts.push(`withWaves=${state.withWaves ? "true" : "false"}`);  // true | false
   parts.push(`withCurrent=${state.withCurrent ? "true" : "false"}`);  // true | false
+  parts.push(`isoc=${state.isoc ? "true" : "false"}`);      // true | false
   parts.push(`xWind=${state.xWind}`);                       // expert parameter
   parts.push(`maxWind=${state.maxWind}`);                       // expert parameter
   parts.push(`penalty0=${state.penalty0}`);                       // expert parameter
@@ -110,6 +177,7 @@ function buildRoutePostBody(state) {
       "forbid",
       "withWaves",
       "withCurrent",
+      "isoc",
       "currentGrib",
       "wavePolar",
       "xWind",
@@ -132,11 +200,11 @@ function buildRoutePostBody(state) {
 }
 
 /**
- * Parse server routing response and extract minimal route data needed by client:
- * - epochStart
- * - isocTimeStep
- * - track => {lat,lon,t}
- * - grib name
+ * Parse server routing response into a RouteData:
+ * - named per-point fields (see TRACK_COL)
+ * - route totals
+ * - isochrones (`_isoc`, only when requested with isoc=true)
+ * - grib names, polars and the other scalar fields echoed by the server
  *
  * @param {any} json
  * @returns {RouteData}
@@ -175,13 +243,131 @@ function parseRouteResponse(json) {
     throw new Error("Invalid route response: missing epochStart/isocTimeStep");
   }
 
-  const pts = r.track.map(row => ({ lat: row[1], lon: row[2], t: t0Epoch + row[3] }));
-  const currentGrib = r.currentGrib || "";
-  const gribName = r.grib || "";
+  const pts = r.track.map(row => parseTrackRow(row, t0Epoch));
 
+  const params = {};
+  for (const [k, v] of Object.entries(r)) {
+    if (v === null || typeof v !== "object") params[k] = v;
+  }
 
+  return {
+    boatName: foundKey,
+    t0Epoch,
+    dtRoute,
+    pts,
+    isoc: parseIsochrones(json._isoc),
+    gribName: r.grib || "",
+    currentGrib: r.currentGrib || "",
+    polar: r.polar || "",
+    wavePolar: r.wavePolar || "",
+    totals: computeRouteTotals(pts, t0Epoch, dtRoute),
+    params
+  };
+}
 
-  return { t0Epoch, dtRoute, pts, gribName, currentGrib };
+/**
+ * Convert one server track row into a RoutePoint.
+ * @param {any[]} row
+ * @param {number} t0Epoch
+ * @returns {RoutePoint}
+ */
+function parseTrackRow(row, t0Epoch) {
+  const num = (col) => (Number.isFinite(row[col]) ? row[col] : NaN);
+  return {
+    toIndexWp: num(TRACK_COL.TO_INDEX_WP),
+    lat: row[TRACK_COL.LAT],
+    lon: row[TRACK_COL.LON],
+    t: t0Epoch + row[TRACK_COL.TIME],
+    sail: num(TRACK_COL.SAIL),
+    motor: !!row[TRACK_COL.MOTOR],
+    amure: num(TRACK_COL.AMURE),
+    cog: num(TRACK_COL.COG),
+    sog: num(TRACK_COL.SOG),
+    twa: num(TRACK_COL.TWA),
+    twd: num(TRACK_COL.TWD),
+    tws: num(TRACK_COL.TWS),
+    gust: num(TRACK_COL.GUST),
+    waves: num(TRACK_COL.WAVES),
+    currentDir: num(TRACK_COL.CURRENT_DIR),
+    currentSpeed: num(TRACK_COL.CURRENT_SPEED),
+    stamina: num(TRACK_COL.STAMINA)
+  };
+}
+
+/**
+ * Route totals. Tack changes are counted on TWA sign changes, sail changes on the sail column.
+ * @param {RoutePoint[]} pts
+ * @param {number} t0Epoch
+ * @param {number} dtRoute - seconds between track points
+ * @returns {RouteTotals}
+ */
+function computeRouteTotals(pts, t0Epoch, dtRoute) {
+  const max = (key) => {
+    const vals = pts.map(p => p[key]).filter(Number.isFinite);
+    return vals.length > 0 ? Math.max(...vals) : NaN;
+  };
+
+  let dist = 0;
+  for (let i = 1; i < pts.length; i++) {
+    dist += orthoDist(pts[i - 1].lat, pts[i - 1].lon, pts[i].lat, pts[i].lon);
+  }
+
+  let nTack = 0;
+  let nSailChange = 0;
+  let prevTack = null;
+  for (let i = 0; i < pts.length; i++) {
+    const twa = pts[i].twa;
+    if (i > 0 && Number.isFinite(pts[i].sail) && pts[i].sail !== pts[i - 1].sail) nSailChange++;
+    if (!Number.isFinite(twa) || twa === 0) continue;
+    const tack = twa > 0 ? 0 : 1;
+    if (prevTack !== null && tack !== prevTack) nTack++;
+    prevTack = tack;
+  }
+
+  const eta = pts[pts.length - 1].t;
+  const duration = eta - t0Epoch;
+  return {
+    eta,
+    duration,
+    dist,
+    avgSog: duration > 0 ? dist / (duration / 3600) : NaN,
+    maxTws: max("tws"),
+    maxGust: max("gust"),
+    maxWaves: max("waves"),
+    motorDuration: pts.filter(p => p.motor).length * dtRoute,
+    nTack,
+    nSailChange
+  };
+}
+
+/**
+ * Keep only well formed isochrones from server `_isoc` array.
+ * Each isochrone is a list of [lat, lon]. Isochrone i is reached at step i+1 of the route.
+ *
+ * @param {any} raw
+ * @returns {Isochrone[]}
+ */
+function parseIsochrones(raw) {
+  if (!Array.isArray(raw)) return [];
+
+  return raw.map(iso => Array.isArray(iso)
+    ? iso.filter(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]))
+      .map(p => [p[0], p[1]])
+    : []
+  );
+}
+
+/**
+ * Copy of a raw route response for localStorage: isochrones (`_isoc`) removed,
+ * they are the bulk of the payload and are only drawn for a fresh computation.
+ *
+ * @param {any} json - raw JSON returned by REQ.ROUTING
+ * @returns {any}
+ */
+function routeJsonForStorage(json) {
+  const out = { ...json };
+  delete out._isoc;
+  return out;
 }
 
 /* =========================================================
@@ -197,9 +383,15 @@ window.player = (function makePlayer() {
   /** @type {RouteData|null} */
   let route = null;
 
+  /** @type {RouteData[]} other routes (model comparison) scrubbed together with `route` */
+  let companions = [];
+
   let k = 0;
   const stepMs = 300;
 
+  /** Live mode (GPS tracking): the boat marker belongs to the GPS, the player only drives the clock */
+  let live = false;
+
   function setIndex(newK) {
     if (!route) return;
     const kk = Math.max(0, Math.min(route.pts.length - 1, Number(newK)));
@@ -210,56 +402,22 @@ window.player = (function makePlayer() {
   /**
    * Attach a route to the player and reset position to beginning.
    * @param {RouteData} r
+   * @param {RouteData[]} [others=[]] - routes whose boats follow the same clock
    * @returns {void}
    */
-  function setRoute(r) {
+  function setRoute(r, others = []) {
     route = r;
+    companions = others;
     k = 0;
+    weatherTimeline.show(false);
+    routeMeteogram.setRoute(r);
     syncSlider();
     update();
   }
 
-  /**
-   * Returns the first boat object stored in `lastRouteData` without assuming its name.
-   *
-   * @param {object} lastRouteData - The raw JSON object returned by the server (may contain multiple boats).
-   * @returns {object|null} The first boat entry (e.g. lastRouteData["banane"]) or null if not found.
-   */
-  function getFirstBoatData(lastRouteData) {
-    if (!lastRouteData || typeof lastRouteData !== "object") return null;
-
-    const keys = Object.keys(lastRouteData);
-    if (keys.length === 0) return null;
-
-    const boat = lastRouteData[keys[0]];
-    return (boat && typeof boat === "object") ? boat : null;
-}
-
-  /**
-   * Extracts TWA (True Wind Angle) from `lastRouteData` for step index k.
-   * According to your data layout, TWA is the 10th element in track[k] => index 9.
-   *
-   * @param {object} lastRouteData - The raw JSON object returned by the server.
-   * @param {number} k - Step index in the track array.
-   * @returns {number|null} TWA in degrees, or null if unavailable/out of range.
-   */
-  function getTwaFromLastRouteData(lastRouteData, k) {
-    const boat = getFirstBoatData(lastRouteData);
-    const track = boat?.track;
-
-    if (!Array.isArray(track)) return null;
-    if (!Number.isInteger(k) || k < 0 || k >= track.length) return null;
-
-    const row = track[k];
-    if (!Array.isArray(row) || row.length < 10) return null;
-
-    const twa = row[9]; // 10th element
-    return (typeof twa === "number" && Number.isFinite(twa)) ? twa : null;
-  }
-
   /**
    * Updates the playback step:
-   * - moves the boat marker to route.pts[k]
+   * - moves the boat marker to route.pts[k] (not in live mode)
    * - updates the boat heading using the next point when available
    * - synchronizes and redraws the wind layer for the same step
    * - updates the status text and slider UI
@@ -273,25 +431,29 @@ window.player = (function makePlayer() {
     const p = route.pts[k];
     const pNext = (k < route.pts.length - 1) ? route.pts[k+1] : null;
     const cap = pNext ? orthoCap(p.lat, p.lon, pNext.lat, pNext.lon) : lastCap;
-    setBoatPosition(p.lat, p.lon);
-    const twa = getTwaFromLastRouteData (window.lastRouteData, k);
-    // console.log (JSON.stringify (window.lastRouteData));
-    const tack = twa > 0 ? 0 : 1; // tribord=0, babord=1
-    setBoatVisualState(cap, tack);
+    if (!live) {
+      setBoatPosition(p.lat, p.lon);
+      const tack = p.twa > 0 ? 0 : 1; // tribord=0, babord=1
+      setBoatVisualState(cap, tack);
+    }
     lastCap = cap;
 
     windLayer.setRouteState({ t0Epoch: route.t0Epoch, dtRoute: route.dtRoute, k });
     windLayer.redraw();
+    currentLayer.setRouteState({ t0Epoch: route.t0Epoch, dtRoute: route.dtRoute, k });
+    currentLayer.redraw();
+    setIsochroneStep(k);
+    if (companions.length > 0) setCompareBoatPositions(companions.map(c => pointAtEpoch(c, p.t)));
+    routeMeteogram.setCursor(k);
 
     const s = document.getElementById("status");
     if (s) {
       const d = new Date(p.t * 1000);
       const model = appState.model ?? "";
       const polarShort = formatPolarName(appState.polar, 15);
-      const boat = getFirstBoatData(lastRouteData);
-      const waves = (boat.wavePolar && boat.wavePolar.length > 0) ? "W" : "";
-      const curr = (boat.currentGrib && boat.currentGrib.length > 0) ? "C" :""
-    
+      const waves = route.wavePolar ? "W" : "";
+      const curr = route.currentGrib ? "C" : "";
+
       s.innerHTML = `
         <div class="left">
           <span class="modelName"><b>${esc(model)} ${waves} ${curr}</b></span>
@@ -305,6 +467,17 @@ window.player = (function makePlayer() {
     syncSlider(); 
   }
 
+  /**
+   * Point of route `r` nearest to epoch `t` (clamped to route ends).
+   * @param {RouteData} r
+   * @param {number} t
+   * @returns {RoutePoint}
+   */
+  function pointAtEpoch(r, t) {
+    const i = Math.round((t - r.t0Epoch) / r.dtRoute);
+    return r.pts[Math.max(0, Math.min(r.pts.length - 1, i))];
+  }
+
   function syncSlider() {
     const sl = document.getElementById("routeSlider");
     if (!sl) return;
@@ -381,12 +554,25 @@ window.player = (function makePlayer() {
   function reset() {
     stop();
     route = null;
+    companions = [];
     k = 0;
+    weatherTimeline.show(true);
+    routeMeteogram.setRoute(null);
     const s = document.getElementById("status");
     if (s) s.textContent = "";
   }
 
-  return { setRoute, gotoBeg, gotoEnd, step, togglePlay, reset, setIndex, syncSlider };
+  /**
+   * Switch live mode on or off (see `live`).
+   * @param {boolean} on
+   * @returns {void}
+   */
+  function setLive(on) {
+    live = !!on;
+    if (live) stop();
+  }
+
+  return { setRoute, gotoBeg, gotoEnd, step, togglePlay, reset, setIndex, syncSlider, setLive };
 })();
 
 /* =========================================================
@@ -394,33 +580,86 @@ window.player = (function makePlayer() {
    ========================================================= */
 
 /**
- * Compute route using REQ.ROUTING, render polyline + boat, then ensure GRIB is loaded and redraw wind.
+ * Send one REQ.ROUTING request and parse the response.
+ * Does not touch the map, the player or the globals.
  *
  * @param {any} state - appState (boat, waypoints, startEpoch, settings)
- * @returns {Promise<void>}
+ * @returns {Promise<{json:any, route:RouteData}>}
  * @throws {Error} on server errors or invalid responses
  */
-window.computeRouteAndWind = async function computeRouteAndWind(state) {
+async function requestRoute(state) {
   const body = buildRoutePostBody(state);
   const headers = { "Content-Type": "application/x-www-form-urlencoded;charset=UTF-8" };
 
   const res = await fetch(apiUrl, { method: "POST", headers, body, cache: "no-store" });
   if (!res.ok) throw new Error(`Routing HTTP error ${res.status}`);
 
-
   const json = await res.json();
   const route = parseRouteResponse(json);
+  route.waypoints = state.waypoints.map(wp => ({ lat: wp.lat, lon: wp.lon }));
+  return { json, route };
+}
 
+/**
+ * Keep the raw route JSON (isochrones removed) across reloads, so that the app starts offline
+ * with its last route. Best effort: nothing is kept when the storage quota is exceeded.
+ *
+ * @param {any|null} json - raw JSON returned by REQ.ROUTING, null to forget
+ * @returns {void}
+ */
+function storeLastRoute(json) {
+  try {
+    localStorage.removeItem(LAST_ROUTE_KEY);   // a failed write must not leave an older route
+    if (json) localStorage.setItem(LAST_ROUTE_KEY, JSON.stringify({ savedAt: Date.now(), json: routeJsonForStorage(json) }));
+  } catch (e) {
+    console.warn("storeLastRoute failed:", e);
+  }
+}
+
+/**
+ * Show the route stored by storeLastRoute(), if any.
+ *
+ * @param {any} state - appState (model, onlyUV)
+ * @returns {Promise<boolean>} true when a route was restored
+ */
+async function restoreLastRoute(state) {
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(LAST_ROUTE_KEY) || "null");
+  } catch (e) {
+    console.warn("restoreLastRoute: unreadable stored route", e);
+  }
+  if (!stored || !stored.json) return false;
+  await showRoute(state, stored.json, parseRouteResponse(stored.json));
+  return true;
+}
+
+/**
+ * Make a parsed route the current one: store globals, render polyline + isochrones,
+ * attach it to the player, then ensure GRIB is loaded and redraw wind.
+ *
+ * @param {any} state - appState used for the request (model, onlyUV, waypoints)
+ * @param {any} json - raw JSON returned by REQ.ROUTING
+ * @param {RouteData} route - parsed route
+ * @param {RouteData[]} [companions=[]] - other routes played together with this one
+ * @returns {Promise<void>}
+ */
+async function showRoute(state, json, route, companions = []) {
+  // Routes parsed from stored JSON: boat and waypoints were restored with them
+  if (!route.waypoints) route.waypoints = state.waypoints.map(wp => ({ lat: wp.lat, lon: wp.lon }));
   window.lastRouteData = json;                          // store in globals
+  window.lastRoute = route;
   window.lastCurrentGribFile = route.currentGrib || "";
   window.lastGribFile = route.gribName || "";
+  storeLastRoute(json);
 
   // Draw route polyline
   const latlngs = route.pts.map(p => [p.lat, p.lon]);
   setRoutePolyline(latlngs);
+  setIsochrones(route.isoc);
 
   // Attach route to player
-  window.player.setRoute(route);
+  window.player.setRoute(route, companions);
 
   // Wind: cache + reload only if GRIB changed
   const model = state.model || routeParam.model;
@@ -441,6 +680,30 @@ window.computeRouteAndWind = async function computeRouteAndWind(state) {
   windLayer.set(meta, field);
   windLayer.setRouteState({ t0Epoch: route.t0Epoch, dtRoute: route.dtRoute, k: 0 });
   windLayer.redraw();
+
+  // Current arrows follow the current GRIB used by the router
+  if (currentLayer.isVisible() && route.currentGrib && route.currentGrib !== currentLayer.getName()) {
+    await currentLayer.load(route.currentGrib);
+  }
   window.player.gotoBeg();
+}
+
+/**
+ * Compute route using REQ.ROUTING, render polyline + boat, then ensure GRIB is loaded and redraw wind.
+ *
+ * @param {any} state - appState (boat, waypoints, startEpoch, settings)
+ * @returns {Promise<void>}
+ * @throws {Error} on server errors or invalid responses
+ */
+window.computeRouteAndWind = async function computeRouteAndWind(state) {
+  const { json, route } = await requestRoute(state);
+  clearCompareRoutes();
+  await showRoute(state, json, route);
 };
 
+window.parseRouteResponse = parseRouteResponse;
+window.routeJsonForStorage = routeJsonForStorage;
+window.requestRoute = requestRoute;
+window.showRoute = showRoute;
+window.storeLastRoute = storeLastRoute;
+window.restoreLastRoute = restoreLastRoute;
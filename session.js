@@ -0,0 +1,239 @@
+/* globals models, fetchPolarList */
+
+/* =========================================================
+   Session schema: versioning, migration and validation
+   ========================================================= */
+
+const SESSION_VERSION = 2;
+
+/**
+ * Migration from version n to n+1, indexed by n.
+ * Each one gets a plain state object and returns the next version state.
+ */
+const SESSION_MIGRATIONS = {
+  // v1 -> v2: boat always carries tack and heading (GPS button used to store {lat, lon} only)
+  1: (s) => {
+    const boat = (s.boat && typeof s.boat === "object") ? s.boat : {};
+    return {
+      ...s,
+      boat: {
+        ...boat,
+        tack: Number.isFinite(boat.tack) ? boat.tack : (s.initialAmure === 1 ? 1 : 0),
+        heading: Number.isFinite(boat.heading) ? boat.heading : 0
+      }
+    };
+  }
+};
+
+/**
+ * Validation rule per appState field.
+ * - number: optional min/max, int, nullable
+ * - boolean
+ * - enum: `values` (numbers or strings)
+ * - string: optional `pattern`
+ * Fields without rule must keep the type of their fallback value.
+ * `boat` and `waypoints` have their own repair functions.
+ */
+const SESSION_RULES = {
+  startEpoch: { type: "number", min: 0, nullable: true },
+  model: { type: "enum", values: () => models },
+  timeStep: { type: "enum", values: [900, 1800, 3600, 10800] },
+  polar: { type: "string", pattern: /^pol\/[^/]+$/ },
+  wavePolar: { type: "string", pattern: /^wavepol\/[^/]+$/ },
+  forbid: { type: "boolean" },
+  withWaves: { type: "boolean" },
+  withCurrent: { type: "boolean" },
+  isoc: { type: "boolean" },
+  onlyUV: { type: "boolean" },
+  windMode: { type: "enum", values: ["barbs", "particles"] },
+  overlay: { type: "enum", values: ["none", "tws", "gust", "waves"] },
+  coordFormat: { type: "enum", values: ["DMS", "DM", "DD", "BASIC"] },
+  xWind: { type: "number", min: 0.01, max: 10 },
+  maxWind: { type: "number", min: 0, max: 200, int: true },
+  penalty0: { type: "number", min: 0, max: 3600, int: true },
+  penalty1: { type: "number", min: 0, max: 3600, int: true },
+  penalty2: { type: "number", min: 0, max: 3600, int: true },
+  motorSpeed: { type: "number", min: 0, max: 50 },
+  threshold: { type: "number", min: 0, max: 100 },
+  dayEfficiency: { type: "number", min: 0.01, max: 2 },
+  nightEfficiency: { type: "number", min: 0.01, max: 2 },
+  staminaVR: { type: "number", min: 0, max: 100, int: true },
+  initialAmure: { type: "enum", values: [0, 1] },
+  autoRouteMin: { type: "enum", values: [15, 30, 60, 120, 180, 360] },
+  autoRouteOnNewRun: { type: "boolean" }
+};
+
+/** Fields never read from storage: always taken from the fallback */
+const SESSION_NOT_STORED = ["apiUrl"];
+
+/**
+ * Run migrations from `version` up to SESSION_VERSION.
+ * @param {any} state
+ * @param {number} version
+ * @returns {any} state at SESSION_VERSION
+ * @throws {Error} when version is unknown or newer than this client
+ */
+function migrateSession(state, version) {
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Unknown session version: ${version}`);
+  if (version > SESSION_VERSION) throw new Error(`Session saved by a newer version (${version})`);
+
+  let s = state;
+  for (let v = version; v < SESSION_VERSION; v++) s = SESSION_MIGRATIONS[v](s);
+  return s;
+}
+
+/**
+ * Check one value against its rule.
+ * Numeric and boolean strings are converted ("12", "true").
+ *
+ * @param {any} value
+ * @param {any} rule - SESSION_RULES entry
+ * @returns {{ok:boolean, value:any}}
+ */
+function checkRule(value, rule) {
+  switch (rule.type) {
+    case "number": {
+      if (value === null && rule.nullable) return { ok: true, value };
+      const n = (typeof value === "string" && value.trim() !== "") ? Number(value) : value;
+      const ok = typeof n === "number" && Number.isFinite(n) &&
+        (rule.min === undefined || n >= rule.min) &&
+        (rule.max === undefined || n <= rule.max) &&
+        (!rule.int || Number.isInteger(n));
+      return { ok, value: n };
+    }
+    case "boolean": {
+      const b = (value === "true") ? true : (value === "false") ? false : value;
+      return { ok: typeof b === "boolean", value: b };
+    }
+    case "enum": {
+      const values = typeof rule.values === "function" ? rule.values() : rule.values;
+      const match = values.find(x => x === value || (typeof x === "number" && x === Number(value)));
+      return { ok: match !== undefined, value: match };
+    }
+    case "string":
+      return { ok: typeof value === "string" && (!rule.pattern || rule.pattern.test(value)), value };
+    default:
+      return { ok: false, value };
+  }
+}
+
+/**
+ * @param {any} lat
+ * @param {any} lon
+ * @returns {boolean}
+ */
+function isValidLatLon(lat, lon) {
+  return Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 360;
+}
+
+/**
+ * Validate a stored state field by field against SESSION_RULES.
+ * Invalid fields are replaced by the fallback value and reported; unknown fields are dropped.
+ *
+ * @param {any} state - migrated state
+ * @param {object} fallback - appState used for missing or invalid fields
+ * @returns {{state:object, warnings:string[]}}
+ */
+function validateSessionState(state, fallback) {
+  const warnings = [];
+  const out = {};
+
+  for (const [key, def] of Object.entries(fallback)) {
+    if (SESSION_NOT_STORED.includes(key) || key === "boat" || key === "waypoints") {
+      out[key] = def;
+      continue;
+    }
+    if (!(key in state)) {
+      out[key] = def;
+      continue;
+    }
+    const rule = SESSION_RULES[key];
+    const { ok, value } = rule
+      ? checkRule(state[key], rule)
+      : { ok: typeof state[key] === typeof def, value: state[key] };
+    if (ok) {
+      out[key] = value;
+    } else {
+      out[key] = def;
+      warnings.push(`${key}: invalid value ${JSON.stringify(state[key])}, reset to ${JSON.stringify(def)}`);
+    }
+  }
+
+  // Boat: position both valid or both null
+  const boat = (state.boat && typeof state.boat === "object") ? state.boat : {};
+  if (isValidLatLon(boat.lat, boat.lon)) {
+    out.boat = {
+      lat: boat.lat,
+      lon: boat.lon,
+      tack: boat.tack === 1 ? 1 : 0,
+      heading: Number.isFinite(boat.heading) ? boat.heading : 0
+    };
+  } else {
+    out.boat = { lat: null, lon: null };
+    if (boat.lat != null || boat.lon != null) warnings.push("boat: invalid position removed");
+  }
+
+  // Waypoints: drop invalid ones, keep order
+  const wps = Array.isArray(state.waypoints) ? state.waypoints : [];
+  out.waypoints = wps
+    .filter(wp => wp && isValidLatLon(wp.lat, wp.lon))
+    .map(wp => ({ lat: wp.lat, lon: wp.lon }));
+  if (state.waypoints !== undefined && !Array.isArray(state.waypoints)) {
+    warnings.push("waypoints: not a list, removed");
+  } else if (out.waypoints.length !== wps.length) {
+    warnings.push(`waypoints: ${wps.length - out.waypoints.length} invalid waypoint(s) removed`);
+  }
+
+  return { state: out, warnings };
+}
+
+/**
+ * Whole pipeline for a stored session payload: shape check, migration, validation.
+ *
+ * @param {any} payload - {version, savedAt, state} as written by saveSession()
+ * @param {object} fallback - appState defaults
+ * @returns {{state:object|null, warnings:string[]}} state null when the session is rejected
+ */
+function restoreSessionPayload(payload, fallback) {
+  if (!payload || typeof payload !== "object" || !payload.state || typeof payload.state !== "object") {
+    return { state: null, warnings: ["Saved session is corrupt and was ignored."] };
+  }
+  try {
+    const migrated = migrateSession(payload.state, payload.version);
+    return validateSessionState(migrated, fallback);
+  } catch (e) {
+    return { state: null, warnings: [`${e.message}. Saved session ignored.`] };
+  }
+}
+
+/**
+ * Server dependent part of validation: reset polars not present on the server.
+ * Silently skipped when the server lists cannot be fetched; offline (or on the
+ * first network error) no request is made or retried.
+ *
+ * @param {object} state - validated state, modified in place
+ * @param {object} fallback - appState defaults
+ * @returns {Promise<string[]>} warnings
+ */
+async function validateSessionPolars(state, fallback) {
+  const warnings = [];
+  if (navigator.onLine === false) return warnings;
+  const checks = [["polar", "pol"], ["wavePolar", "wavepol"]];
+  for (const [key, dir] of checks) {
+    let names;
+    try {
+      names = await fetchPolarList(dir);
+    } catch (e) {
+      console.warn("validateSessionPolars:", e);
+      // fetch rejects with a TypeError when the server cannot be reached
+      if (e instanceof TypeError) break;
+      continue;
+    }
+    const name = String(state[key]).replace(`${dir}/`, "");
+    if (names.length > 0 && !names.includes(name)) {
+      warnings.push(`${key}: unknown polar ${name}, reset to ${fallback[key]}`);
+      state[key] = fallback[key];
+    }
+  }
+  return warnings;
+}
@@ -0,0 +1,164 @@
+/* globals Swal, appState, validateSessionState */
+
+/* =========================================================
+   Plan sharing through a compact URL hash: #p=<base64url JSON>
+   ========================================================= */
+
+const SHARE_VERSION = 1;
+const SHARE_PREFIX = "#p=";
+
+/** appState key -> short key in the shared payload */
+const SHARE_KEYS = {
+  model: "m", timeStep: "ts", polar: "p", wavePolar: "wp",
+  forbid: "f", withWaves: "w", withCurrent: "c",
+  xWind: "xw", maxWind: "mw", penalty0: "p0", penalty1: "p1", penalty2: "p2",
+  motorSpeed: "ms", threshold: "th", dayEfficiency: "de", nightEfficiency: "ne",
+  staminaVR: "st", initialAmure: "ia"
+};
+
+/** Coordinates precision: 5 decimals is about 1 m */
+const round5 = (x) => Math.round(x * 1e5) / 1e5;
+
+/**
+ * @param {string} s
+ * @returns {string} base64url of UTF-8 bytes
+ */
+function toBase64Url(s) {
+  const bytes = new TextEncoder().encode(s);
+  let bin = "";
+  bytes.forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * @param {string} s - base64url
+ * @returns {string}
+ */
+function fromBase64Url(s) {
+  const bin = atob(s.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+}
+
+/**
+ * Encode boat, waypoints, start epoch and routing settings.
+ * Booleans are written as 1/0, waypoints as a flat [lat, lon, lat, lon...] list.
+ *
+ * @param {AppState} state
+ * @returns {string} hash payload (without "#p=")
+ */
+function encodeSharePlan(state) {
+  const s = {};
+  for (const [key, short] of Object.entries(SHARE_KEYS)) {
+    const v = state[key];
+    s[short] = typeof v === "boolean" ? (v ? 1 : 0) : v;
+  }
+  const payload = {
+    v: SHARE_VERSION,
+    b: Number.isFinite(state.boat.lat) ? [round5(state.boat.lat), round5(state.boat.lon), state.boat.tack ? 1 : 0] : [],
+    w: state.waypoints.flatMap(wp => [round5(wp.lat), round5(wp.lon)]),
+    t: state.startEpoch,
+    s
+  };
+  return toBase64Url(JSON.stringify(payload));
+}
+
+/**
+ * Decode a hash payload into a partial appState (long keys).
+ *
+ * @param {string} code - hash payload (without "#p=")
+ * @returns {object}
+ * @throws {Error} on malformed payload or unknown version
+ */
+function decodeSharePlan(code) {
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(code));
+  } catch (e) {
+    throw new Error("Malformed shared link");
+  }
+  if (!payload || payload.v !== SHARE_VERSION) throw new Error(`Unknown shared link version: ${payload?.v}`);
+
+  const state = {};
+  const bools = ["forbid", "withWaves", "withCurrent"];
+  for (const [key, short] of Object.entries(SHARE_KEYS)) {
+    if (!(short in (payload.s || {}))) continue;
+    const v = payload.s[short];
+    state[key] = bools.includes(key) ? v === 1 : v;
+  }
+
+  const b = Array.isArray(payload.b) ? payload.b : [];
+  state.boat = b.length >= 2 ? { lat: b[0], lon: b[1], tack: b[2] === 1 ? 1 : 0 } : { lat: null, lon: null };
+
+  const w = Array.isArray(payload.w) ? payload.w : [];
+  state.waypoints = [];
+  for (let i = 0; i + 1 < w.length; i += 2) state.waypoints.push({ lat: w[i], lon: w[i + 1] });
+
+  if (payload.t !== undefined) state.startEpoch = payload.t;
+  return state;
+}
+
+/**
+ * Link to this app restoring `state`.
+ * @param {AppState} state
+ * @returns {string}
+ */
+window.buildShareUrl = function buildShareUrl(state) {
+  return `${location.origin}${location.pathname}${SHARE_PREFIX}${encodeSharePlan(state)}`;
+};
+
+/**
+ * Read a shared plan from the URL hash, validated like a session.
+ * The hash is removed so that a reload does not apply it again over later edits.
+ *
+ * @param {object} fallback - appState for fields not in the link
+ * @returns {{state:object, warnings:string[]}|null} null when the URL has no shared plan
+ */
+window.takeSharedPlan = function takeSharedPlan(fallback) {
+  if (!location.hash.startsWith(SHARE_PREFIX)) return null;
+  const code = location.hash.slice(SHARE_PREFIX.length);
+  history.replaceState(null, "", location.pathname + location.search);
+
+  try {
+    return validateSessionState(decodeSharePlan(code), fallback);
+  } catch (e) {
+    return { state: null, warnings: [e.message] };
+  }
+};
+
+/**
+ * "Share" action: native share sheet when available, else the link in a dialog with copy.
+ *
+ * @async
+ * @function openShareDialog
+ * @returns {Promise<void>}
+ */
+window.openShareDialog = async function openShareDialog() {
+  const url = window.buildShareUrl(appState);
+
+  if (navigator.share) {
+    try {
+      await navigator.share({ title: "rcube plan", url });
+      return;
+    } catch (e) {
+      if (e.name === "AbortError") return;
+      // share failed: fall back to the dialog
+    }
+  }
+
+  await Swal.fire({
+    title: "Share plan",
+    input: "text",
+    inputValue: url,
+    inputAttributes: { readonly: "readonly" },
+    showCancelButton: true,
+    confirmButtonText: "Copy",
+    preConfirm: async () => {
+      try {
+        await navigator.clipboard.writeText(url);
+      } catch (e) {
+        return Swal.showValidationMessage("Copy failed: select the link and copy it manually.");
+      }
+      return true;
+    }
+  });
+};
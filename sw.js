@@ -0,0 +1,98 @@
+/* globals self, caches */
+
+/* =========================================================
+   Service worker: precached app shell, offline start
+   ========================================================= */
+
+// Bump on every release so that clients drop the old shell
+const SHELL_CACHE = "rcube-shell-v5";
+
+/** Same-origin files needed to start with no connection (paths relative to this file) */
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "manifest.webmanifest",
+  "help4Ios.html",
+  "geo/land_polygons.geojson",
+  "icons/rcube-192.png",
+  "icons/rcube-512.png",
+  "css/app.css",
+  "css/ioslike.css",
+  "lib/leaflet/leaflet.css",
+  "lib/leaflet/leaflet.js",
+  "lib/swal/sweetalert2.all.min.js",
+  "lib/plotly/plotly-2.11.0.min.js",
+  "../js/util.js",
+  "../js/r3polar.js",
+  "../js/r3routereport.js",
+  "../js/marks.js",
+  "../js/ports.js",
+  "../js/showports.js",
+  "js/gribstore.js",
+  "js/grib.js",
+  "js/wind.js",
+  "js/current.js",
+  "js/timeline.js",
+  "js/inspector.js",
+  "js/meteogram.js",
+  "js/route.js",
+  "js/compare.js",
+  "js/departure.js",
+  "js/history.js",
+  "js/plans.js",
+  "js/session.js",
+  "js/import.js",
+  "js/export.js",
+  "js/share.js",
+  "js/tracker.js",
+  "js/deviation.js",
+  "js/autoroute.js",
+  "js/gribwatch.js",
+  "js/map.js",
+  "js/app.js"
+];
+
+// One by one: a missing optional file must not prevent installation
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => Promise.all(SHELL_FILES.map(url =>
+        cache.add(new Request(url, { cache: "reload" }))
+          .catch(e => console.warn("sw: not precached", url, e)))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith("rcube-shell-") && k !== SHELL_CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Same-origin GET: cached copy first (fast start on a poor link), refreshed from the network
+ * in the background. API calls (POST) and map tiles (other origins) are not handled here.
+ */
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    caches.open(SHELL_CACHE).then(async (cache) => {
+      // ignoreSearch: "index.html?x" and "#p=" share links hit the cached shell
+      const cached = await cache.match(req, { ignoreSearch: true });
+      const refresh = fetch(req)
+        .then((res) => {
+          if (res.ok) cache.put(req, res.clone());
+          return res;
+        });
+      if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+      }
+      return refresh;
+    })
+  );
+});
@@ -0,0 +1,135 @@
+/* globals windLayer, currentLayer */
+
+/* =========================================================
+   Weather timeline (global)
+   Steps through GRIB time stamps when no route is loaded
+   ========================================================= */
+
+/**
+ * Standalone weather timeline: slider + play/pause over the time stamps of the GRIB
+ * drawn by windLayer. Drives windLayer and currentLayer through setEpoch().
+ * Hidden while the route player owns the time.
+ */
+window.weatherTimeline = (function makeWeatherTimeline() {
+  let timer = null;
+  let playing = false;
+  let shown = true;
+
+  /** @type {number[]} epochs of GRIB time stamps */
+  let epochs = [];
+  let i = 0;
+  const stepMs = 600;
+
+  /**
+   * Rebuild time steps from the GRIB drawn by windLayer and select the step closest to now.
+   * @returns {void}
+   */
+  function refresh() {
+    const meta = windLayer.getMeta();
+    epochs = (meta && Array.isArray(meta.timeStamps))
+      ? meta.timeStamps.map(h => meta.epochStart + h * 3600)
+      : [];
+
+    const now = Date.now() / 1000;
+    i = 0;
+    epochs.forEach((t, j) => {
+      if (Math.abs(t - now) < Math.abs(epochs[i] - now)) i = j;
+    });
+    update();
+  }
+
+  /**
+   * Push selected epoch to weather layers and update slider + label.
+   * @returns {void}
+   */
+  function update() {
+    const sl = document.getElementById("weatherSlider");
+    const lbl = document.getElementById("weatherTime");
+
+    if (epochs.length === 0) {
+      if (sl) {
+        sl.min = "0";
+        sl.max = "0";
+        sl.value = "0";
+        sl.disabled = true;
+      }
+      if (lbl) lbl.textContent = "";
+      return;
+    }
+
+    const t = epochs[i];
+    windLayer.setEpoch(t);
+    currentLayer.setEpoch(t);
+    if (shown) {
+      windLayer.redraw();
+      currentLayer.redraw();
+    }
+
+    if (sl) {
+      sl.disabled = false;
+      sl.min = "0";
+      sl.max = String(epochs.length - 1);
+      sl.value = String(i);
+    }
+    if (lbl) {
+      const h = Math.round((t - epochs[0]) / 3600);
+      lbl.textContent = `${dateToStr(new Date(t * 1000))} +${h}h`;
+    }
+  }
+
+  /**
+   * Select time step index.
+   * @param {number} newI
+   * @returns {void}
+   */
+  function setIndex(newI) {
+    if (epochs.length === 0) return;
+    i = Math.max(0, Math.min(epochs.length - 1, Number(newI)));
+    update();
+  }
+
+  /** @returns {void} */
+  function tick() {
+    if (i >= epochs.length - 1) return stop();
+    i++;
+    update();
+  }
+
+  /** @returns {void} */
+  function play() {
+    if (playing || epochs.length === 0) return;
+    if (i >= epochs.length - 1) i = 0;
+    playing = true;
+    document.getElementById("btnWeatherPlay").textContent = "Pause";
+    timer = setInterval(tick, stepMs);
+  }
+
+  /** @returns {void} */
+  function stop() {
+    playing = false;
+    const btn = document.getElementById("btnWeatherPlay");
+    if (btn) btn.textContent = "Play";
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  /** @returns {void} */
+  function togglePlay() {
+    playing ? stop() : play();
+  }
+
+  /**
+   * Show the timeline (no route: it owns the weather time) or hide it (route player owns it).
+   * @param {boolean} on
+   * @returns {void}
+   */
+  function show(on) {
+    shown = !!on;
+    const row = document.getElementById("weatherRow");
+    if (row) row.style.display = shown ? "" : "none";
+    if (!shown) stop();
+    else update();
+  }
+
+  return { refresh, setIndex, togglePlay, stop, show };
+})();
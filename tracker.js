@@ -0,0 +1,375 @@
+/* globals L, Swal, map, appState, orthoDist, orthoCap, setStartBoat, setBoatPosition, setBoatVisualState,
+           saveSession, downloadText, xmlEsc, MS_TO_KN */
+
+/* =========================================================
+   Live GPS tracking (watchPosition) and track recording (IndexedDB)
+   ========================================================= */
+
+const TRACK_DB_NAME = "rcube-tracks";
+const TRACK_DB_VERSION = 1;
+const TRACK_MIN_INTERVAL_S = 10;      // fixes closer in time are not recorded
+const TRACK_MAX_ACCURACY_M = 100;     // coarser fixes are ignored
+
+/**
+ * @typedef {Object} TrackFix
+ * @property {number} trackId
+ * @property {number} t - epoch seconds
+ * @property {number} lat
+ * @property {number} lon
+ * @property {number} sog - kn, NaN if unknown
+ * @property {number} cog - degrees, NaN if unknown
+ * @property {number} accuracy - meters
+ */
+
+/**
+ * @typedef {Object} TrackInfo
+ * @property {number} id
+ * @property {string} name
+ * @property {number} startEpoch
+ * @property {number} endEpoch
+ * @property {number} nFix
+ */
+
+/**
+ * Continuous GPS mode: each accepted fix moves the boat, extends the breadcrumb line on the map
+ * and is stored in the "fixes" store of the current track.
+ * SOG/COG come from the device when it gives them, else from the previous fix.
+ */
+window.tracker = (function makeTracker() {
+  /** @type {Promise<IDBDatabase>|null} */
+  let dbPromise = null;
+  let watchId = null;
+  let starting = false;     // start() awaiting the track creation
+  /** @type {TrackInfo|null} */
+  let current = null;
+  /** @type {TrackFix|null} */
+  let lastFix = null;
+  let line = null;
+  /** @type {Array<(fix:TrackFix) => void>} */
+  let listeners = [];
+  /** @type {Array<() => void>} */
+  let stopListeners = [];
+
+  /** @returns {Promise<IDBDatabase>} */
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) return reject(new Error("IndexedDB not available"));
+        const req = indexedDB.open(TRACK_DB_NAME, TRACK_DB_VERSION);
+        req.onupgradeneeded = () => {
+          req.result.createObjectStore("tracks", { keyPath: "id", autoIncrement: true });
+          const fixes = req.result.createObjectStore("fixes", { autoIncrement: true });
+          fixes.createIndex("trackId", "trackId");
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Run `fn` in one transaction; resolves with the result of the request `fn` returns.
+   * @param {string[]} stores
+   * @param {IDBTransactionMode} mode
+   * @param {(tx:IDBTransaction) => IDBRequest|void} fn
+   * @returns {Promise<any>}
+   */
+  async function run(stores, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(stores, mode);
+      const req = fn(tx);
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * SOG/COG of a new fix.
+   * @param {GeolocationCoordinates} coords
+   * @param {TrackFix|null} prev
+   * @param {number} t - epoch seconds of the new fix
+   * @returns {{sog:number, cog:number}}
+   */
+  function motion(coords, prev, t) {
+    let sog = Number.isFinite(coords.speed) ? coords.speed * MS_TO_KN : NaN;
+    let cog = Number.isFinite(coords.heading) ? coords.heading : NaN;
+    if (prev && t > prev.t) {
+      if (!Number.isFinite(sog)) sog = orthoDist(prev.lat, prev.lon, coords.latitude, coords.longitude) / ((t - prev.t) / 3600);
+      if (!Number.isFinite(cog) && sog > 0.1) cog = orthoCap(prev.lat, prev.lon, coords.latitude, coords.longitude);
+    }
+    return { sog, cog };
+  }
+
+  /**
+   * @param {TrackFix|null} fix
+   * @param {string} [msg]
+   * @returns {void}
+   */
+  function showStatus(fix, msg = "") {
+    const el = document.getElementById("gpsStatus");
+    if (!el) return;
+    if (!fix) {
+      el.textContent = msg;
+      return;
+    }
+    const sog = Number.isFinite(fix.sog) ? `${fix.sog.toFixed(1)} kn` : "—";
+    const cog = Number.isFinite(fix.cog) ? `${Math.round(fix.cog)}°` : "—";
+    el.textContent = `GPS ${new Date(fix.t * 1000).toLocaleTimeString()}  SOG ${sog}  COG ${cog}${msg ? "  " + msg : ""}`;
+  }
+
+  /**
+   * watchPosition callback.
+   * @param {GeolocationPosition} pos
+   * @returns {Promise<void>}
+   */
+  async function onPosition(pos) {
+    if (!current) return;
+    const c = pos.coords;
+    const t = Math.round(pos.timestamp / 1000);
+    if (c.accuracy > TRACK_MAX_ACCURACY_M) {
+      showStatus(lastFix, `(poor fix ±${Math.round(c.accuracy)} m)`);
+      return;
+    }
+    if (lastFix && t - lastFix.t < TRACK_MIN_INTERVAL_S) return;
+
+    /** @type {TrackFix} */
+    const fix = { trackId: current.id, t, lat: c.latitude, lon: c.longitude, ...motion(c, lastFix, t), accuracy: c.accuracy };
+    lastFix = fix;
+
+    if (Number.isFinite(appState.boat.lat)) setBoatPosition(fix.lat, fix.lon);
+    else setStartBoat(fix.lat, fix.lon);
+    if (Number.isFinite(fix.cog)) setBoatVisualState(fix.cog, appState.boat.tack ?? 0);
+    if (line) line.addLatLng([fix.lat, fix.lon]);
+    showStatus(fix);
+    listeners.forEach(cb => cb(fix));
+
+    current.endEpoch = t;
+    current.nFix++;
+    const info = { ...current };
+    try {
+      await run(["tracks", "fixes"], "readwrite", tx => {
+        tx.objectStore("fixes").add(fix);
+        tx.objectStore("tracks").put(info);
+      });
+    } catch (e) {
+      console.warn("tracker: fix not stored", e);
+    }
+  }
+
+  /**
+   * watchPosition error callback: permission refusal stops tracking, other errors are transient.
+   * @param {GeolocationPositionError} err
+   * @returns {void}
+   */
+  function onError(err) {
+    if (err.code === err.PERMISSION_DENIED) {
+      stop();
+      Swal.fire("GPS error", err.message || "Geolocation denied", "error");
+      return;
+    }
+    showStatus(lastFix, `(${err.message || "no fix"})`);
+  }
+
+  /**
+   * Start tracking into a new track.
+   * @returns {Promise<void>}
+   * @throws {Error} when geolocation is not supported
+   */
+  async function start() {
+    if (watchId !== null || starting) return;
+    if (!navigator.geolocation) throw new Error("Geolocation not supported by this browser.");
+
+    starting = true;
+    const now = Math.round(Date.now() / 1000);
+    current = {
+      name: new Date(now * 1000).toISOString().slice(0, 16).replace("T", " "),
+      startEpoch: now,
+      endEpoch: now,
+      nFix: 0
+    };
+    try {
+      current.id = await run(["tracks"], "readwrite", tx => tx.objectStore("tracks").add({ ...current }));
+    } catch (e) {
+      console.warn("tracker: track not stored", e);
+      current.id = 0;
+    } finally {
+      starting = false;
+    }
+    lastFix = null;
+    if (line) line.remove();
+    line = L.polyline([], { color: "#7c3aed", weight: 3, opacity: 0.85, interactive: false }).addTo(map);
+    showStatus(null, "GPS: waiting for fix…");
+    watchId = navigator.geolocation.watchPosition(onPosition, onError, {
+      enableHighAccuracy: true,
+      timeout: 30000,
+      maximumAge: 0
+    });
+  }
+
+  /**
+   * Stop tracking (user or GPS permission refusal), then notify onStop() listeners.
+   * The breadcrumb line stays on the map until next start.
+   * @returns {void}
+   */
+  function stop() {
+    if (watchId === null) return;
+    navigator.geolocation.clearWatch(watchId);
+    watchId = null;
+    current = null;
+    showStatus(null);
+    saveSession(appState);
+    stopListeners.forEach(cb => cb());
+  }
+
+  /** @returns {Promise<TrackInfo[]>} most recent first */
+  async function listTracks() {
+    const tracks = await run(["tracks"], "readonly", tx => tx.objectStore("tracks").getAll());
+    return tracks.sort((a, b) => b.startEpoch - a.startEpoch);
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<{track:TrackInfo, fixes:TrackFix[]}>}
+   * @throws {Error} on unknown track
+   */
+  async function getTrack(id) {
+    const track = await run(["tracks"], "readonly", tx => tx.objectStore("tracks").get(id));
+    if (!track) throw new Error(`Unknown track: ${id}`);
+    const fixes = await run(["fixes"], "readonly", tx => tx.objectStore("fixes").index("trackId").getAll(id));
+    return { track, fixes: fixes.sort((a, b) => a.t - b.t) };
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  async function deleteTrack(id) {
+    const keys = await run(["fixes"], "readonly", tx => tx.objectStore("fixes").index("trackId").getAllKeys(id));
+    await run(["tracks", "fixes"], "readwrite", tx => {
+      keys.forEach(k => tx.objectStore("fixes").delete(k));
+      tx.objectStore("tracks").delete(id);
+    });
+  }
+
+  /**
+   * @param {(fix:TrackFix) => void} cb - called on each accepted fix
+   * @returns {() => void} unsubscribe
+   */
+  function onFix(cb) {
+    listeners.push(cb);
+    return () => { listeners = listeners.filter(x => x !== cb); };
+  }
+
+  /**
+   * @param {() => void} cb - called when tracking stops, whatever the cause
+   * @returns {() => void} unsubscribe
+   */
+  function onStop(cb) {
+    stopListeners.push(cb);
+    return () => { stopListeners = stopListeners.filter(x => x !== cb); };
+  }
+
+  return {
+    start,
+    stop,
+    isRunning: () => watchId !== null,
+    getLastFix: () => lastFix,
+    onFix,
+    onStop,
+    listTracks,
+    getTrack,
+    deleteTrack
+  };
+})();
+
+/**
+ * GPX 1.1 of a recorded track, SOG/COG in each point description.
+ * @param {TrackInfo} track
+ * @param {TrackFix[]} fixes
+ * @returns {string}
+ */
+function trackToGpx(track, fixes) {
+  const trkpts = fixes.map(f => {
+    const desc = [
+      Number.isFinite(f.sog) ? `SOG kn ${f.sog.toFixed(2)}` : "",
+      Number.isFinite(f.cog) ? `COG deg ${Math.round(f.cog)}` : ""
+    ].filter(Boolean).join(", ");
+    return `      <trkpt lat="${f.lat}" lon="${f.lon}"><time>${new Date(f.t * 1000).toISOString()}</time>` +
+      (desc ? `<desc>${xmlEsc(desc)}</desc>` : "") + `</trkpt>`;
+  }).join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="rcube" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk>
+    <name>${xmlEsc(track.name)}</name>
+    <trkseg>
+${trkpts}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+/**
+ * Download a recorded track as GPX.
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+window.exportTrackGpx = async function exportTrackGpx(id) {
+  const { track, fixes } = await window.tracker.getTrack(id);
+  const stamp = new Date(track.startEpoch * 1000).toISOString().slice(0, 16).replace(/[-:T]/g, "");
+  downloadText(trackToGpx(track, fixes), `track-${stamp}.gpx`, "application/gpx+xml");
+};
+
+/**
+ * "Tracks" dialog: recorded tracks with GPX export and delete.
+ *
+ * @async
+ * @function openTracksDialog
+ * @returns {Promise<void>}
+ */
+window.openTracksDialog = async function openTracksDialog() {
+  const tracks = await window.tracker.listTracks();
+  if (tracks.length === 0) return Swal.fire("Tracks", "No recorded track. Use the Track button underway.", "info");
+
+  const fmtDuration = (s) => `${Math.floor(s / 3600)}h${String(Math.floor((s % 3600) / 60)).padStart(2, "0")}`;
+  const rows = tracks.map((tr, i) => `
+    <tr style="background-color: ${i % 2 === 0 ? '#f9f9f9' : '#ffffff'};">
+      <td>${esc(tr.name)}</td>
+      <td style="text-align:right;">${fmtDuration(tr.endEpoch - tr.startEpoch)}</td>
+      <td style="text-align:right;">${tr.nFix} fixes</td>
+      <td style="white-space:nowrap;">
+        <button type="button" class="btn" data-action="gpx" data-id="${tr.id}">GPX</button>
+        <button type="button" class="btn" data-action="delete" data-id="${tr.id}">🗑</button>
+      </td>
+    </tr>`).join("");
+
+  await Swal.fire({
+    title: "Tracks",
+    html: `<div style="max-height:50vh;overflow:auto;">
+      <table style="border-collapse:collapse;width:100%;font-size:13px;"><tbody>${rows}</tbody></table></div>`,
+    customClass: { popup: "swal-wide" },
+    confirmButtonText: "Close",
+    didOpen: (popup) => {
+      popup.addEventListener("click", async (e) => {
+        const btn = e.target.closest("button[data-action]");
+        if (!btn) return;
+        const id = Number(btn.dataset.id);
+        try {
+          if (btn.dataset.action === "gpx") {
+            await window.exportTrackGpx(id);
+          } else {
+            await window.tracker.deleteTrack(id);
+            btn.closest("tr").remove();
+          }
+        } catch (err) {
+          Swal.fire("Track error", err.message || String(err), "error");
+        }
+      });
+    }
+  });
+};
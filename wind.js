@@ -1,4 +1,4 @@
-/* globals L, map, windCanvas */
+/* globals L, map, windCanvas, heatCanvas, MS_TO_KN */
 
 /**
  * @typedef {Object} RouteState
@@ -8,56 +8,137 @@
  */
 
 /**
- * Wind rendering layer (barbs) on a Leaflet canvas pane.
+ * Wind rendering layer on a Leaflet canvas pane.
+ * Two render modes:
+ *  - "barbs": static wind barbs at GRIB grid nodes
+ *  - "particles": animated flow field, particles colored by speed
+ * Optional overlay under barbs/particles, with legend and value labels:
+ *  - "tws": true wind speed (Beaufort colors)
+ *  - "gust": gust speed (Beaufort colors), needs `g` component
+ *  - "waves": significant wave height, needs `w` component
  * Needs:
  *  - GRIB meta (grid geometry + timestamps)
- *  - GRIB field (Float32Array + getUVGW())
- *  - optional routeState to synchronize wind time with route playback
+ *  - GRIB field (Float32Array + getUVGW() + sampleAt())
+ *  - optional routeState to synchronize wind time with route playback,
+ *    or a fixed epoch (weather timeline) when no route is played
  */
 window.windLayer = (function makeWindLayer() {
   /** @type {any|null} GRIB meta */
   let gribLimits = null;
 
-  /** @type {{values:Float32Array, getUVGW:function}|null} GRIB field */
+  /** @type {{values:Float32Array, getUVGW:function, sampleAt:function}|null} GRIB field */
   let dataGrib = null;
 
   /** @type {RouteState|null} */
   let routeState = null;
 
+  /** @type {number|null} displayed epoch when no route is played (weather timeline) */
+  let fixedEpoch = null;
+
+  /** @type {"barbs"|"particles"} */
+  let mode = "barbs";
+
   /**
-   * Return bounding GRIB indices around a time in hours:
-   * gribLimits.timeStamps[iTInf] <= tHours <= gribLimits.timeStamps[iTSup]
-   *
-   * @param {number} tHours
-   * @returns {{iTInf:number, iTSup:number}}
+   * Beaufort scale: upper bound (kn, exclusive) and color of each force.
    */
-  function findTimeAround(tHours) {
-    const ts = gribLimits.timeStamps;
-    const n = gribLimits.nTimeStamp;
+  const BEAUFORT = [
+    { max: 1, color: "#ffffff" },
+    { max: 4, color: "#aef1f9" },
+    { max: 7, color: "#96f7dc" },
+    { max: 11, color: "#96f7b4" },
+    { max: 17, color: "#6ff46f" },
+    { max: 22, color: "#73ed12" },
+    { max: 28, color: "#a4ed12" },
+    { max: 34, color: "#daed12" },
+    { max: 41, color: "#edc212" },
+    { max: 48, color: "#ed8f12" },
+    { max: 56, color: "#ed6312" },
+    { max: 64, color: "#ed2912" },
+    { max: Infinity, color: "#d5102d" }
+  ];
 
-    if (!Number.isFinite(tHours) || tHours < ts[0]) return { iTInf: 0, iTSup: 0 };
+  /**
+   * Douglas sea state: upper bound (m, exclusive) and color of significant wave height.
+   */
+  const DOUGLAS = [
+    { max: 0.1, color: "#e0f2fe" },
+    { max: 0.5, color: "#bae6fd" },
+    { max: 1.25, color: "#7dd3fc" },
+    { max: 2.5, color: "#38bdf8" },
+    { max: 4, color: "#a78bfa" },
+    { max: 6, color: "#8b5cf6" },
+    { max: 9, color: "#c026d3" },
+    { max: 14, color: "#db2777" },
+    { max: Infinity, color: "#9f1239" }
+  ];
 
-    for (let k = 0; k < n; k++) {
-      if (tHours === ts[k]) return { iTInf: k, iTSup: k };
-      if (tHours < ts[k]) return { iTInf: k - 1, iTSup: k };
-    }
-    return { iTInf: n - 1, iTSup: n - 1 };
+  /**
+   * Index of the scale band containing value.
+   * @param {Array<{max:number}>} scale
+   * @param {number} x
+   * @returns {number}
+   */
+  function scaleIndex(scale, x) {
+    const i = scale.findIndex(b => x < b.max);
+    return i < 0 ? scale.length - 1 : i;
   }
 
   /**
-   * Convert an epoch time (seconds) into the nearest GRIB time index.
-   * @param {number} currentEpoch
-   * @returns {number} iTimeStamp
+   * Beaufort force of a wind speed.
+   * @param {number} kts
+   * @returns {number} 0..12
+   */
+  function beaufortForce(kts) {
+    return scaleIndex(BEAUFORT, kts);
+  }
+
+  /* ---- overlay state ---- */
+
+  /**
+   * @typedef {Object} OverlayDef
+   * @property {string} title - legend title
+   * @property {Array<{max:number, color:string}>} scale
+   * @property {string} needs - GRIB component required ("" for u/v only)
+   * @property {(w:{u:number, v:number, g:number, w:number}) => number} value
+   * @property {number} digits - decimals of value labels
    */
-  function getGribTimeIndexFromEpoch(currentEpoch) {
-    const diffHours = (currentEpoch - gribLimits.epochStart) / 3600;
-    const { iTInf, iTSup } = findTimeAround(diffHours);
 
-    return (gribLimits.timeStamps[iTSup] - diffHours) < (diffHours - gribLimits.timeStamps[iTInf])
-      ? iTSup
-      : iTInf;
+  /** @type {Object<string, OverlayDef>} */
+  const OVERLAYS = {
+    tws: { title: "TWS kn", scale: BEAUFORT, needs: "", digits: 0, value: w => Math.hypot(w.u, w.v) * MS_TO_KN },
+    gust: { title: "Gust kn", scale: BEAUFORT, needs: "g", digits: 0, value: w => w.g * MS_TO_KN },
+    waves: { title: "Waves m", scale: DOUGLAS, needs: "w", digits: 1, value: w => w.w }
+  };
+
+  /** @type {"none"|"tws"|"gust"|"waves"} */
+  let overlay = "none";
+  const HEAT_BLOCK_PX = 6;        // one sample per block, smoothed when scaled up
+  const HEAT_ALPHA = 140;         // 0..255
+  const LABEL_PX = 90;            // spacing of value labels
+  const SCALE_RGB = new Map([BEAUFORT, DOUGLAS].map(sc => [sc, sc.map(b => hexToRgb(b.color))]));
+
+  /**
+   * "#rrggbb" -> [r, g, b]
+   * @param {string} hex
+   * @returns {number[]}
+   */
+  function hexToRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
   }
 
+  /* ---- particles state ---- */
+  const PARTICLE_COUNT = 1500;
+  const PARTICLE_MAX_AGE = 90;    // frames before respawn
+  const FLOW_GRID_PX = 8;         // resolution of the screen velocity grid
+  const PARTICLE_SPEED = 0.12;    // px per frame per m/s
+
+  /** @type {{cols:number, rows:number, u:Float32Array, v:Float32Array}|null} wind in m/s on a screen grid */
+  let flow = null;
+  /** @type {Array<{x:number, y:number, age:number}>} */
+  let particles = [];
+  let animId = null;
+
   /**
    * Choose a coarser stride when zoomed out to reduce density.
    * @param {number} zoom
@@ -81,6 +162,11 @@ window.windLayer = (function makeWindLayer() {
     dataGrib = field;
   }
 
+  /** @returns {GribMeta|null} meta of the GRIB drawn */
+  function getMeta() {
+    return gribLimits;
+  }
+
   /**
    * Update route time state used to choose GRIB timestamp.
    * @param {RouteState} rs
@@ -90,12 +176,85 @@ window.windLayer = (function makeWindLayer() {
     routeState = rs;
   }
 
+  /**
+   * Select render mode and redraw.
+   * @param {"barbs"|"particles"} m
+   * @returns {void}
+   */
+  function setMode(m) {
+    mode = (m === "particles") ? "particles" : "barbs";
+    if (mode === "barbs") pause();
+    redraw();
+  }
+
+  /** @returns {"barbs"|"particles"} */
+  function getMode() {
+    return mode;
+  }
+
+  /**
+   * Select overlay drawn under barbs/particles ("none" hides it and its legend), then redraw.
+   * @param {"none"|"tws"|"gust"|"waves"} kind
+   * @returns {void}
+   */
+  function setOverlay(kind) {
+    overlay = OVERLAYS[kind] ? kind : "none";
+    redraw();
+  }
+
+  /** @returns {"none"|"tws"|"gust"|"waves"} */
+  function getOverlay() {
+    return overlay;
+  }
+
+  /**
+   * Set displayed epoch used when no route state is set.
+   * @param {number|null} epoch - null means GRIB start
+   * @returns {void}
+   */
+  function setEpoch(epoch) {
+    fixedEpoch = epoch;
+  }
+
+  /**
+   * Interpolated value of the drawn GRIB at (lat, lon, epoch).
+   * @param {number} lat
+   * @param {number} lon
+   * @param {number} epoch
+   * @returns {{u:number, v:number, g:number, w:number}|null} null when no GRIB or outside grid
+   */
+  function sampleAt(lat, lon, epoch) {
+    return (dataGrib && dataGrib.sampleAt) ? dataGrib.sampleAt(lat, lon, epoch) : null;
+  }
+
+  /**
+   * Epoch currently displayed: route time when a route is played,
+   * else epoch set by setEpoch(), else GRIB start.
+   * @returns {number}
+   */
+  function getEpoch() {
+    if (routeState) return routeState.t0Epoch + routeState.k * routeState.dtRoute;
+    if (Number.isFinite(fixedEpoch)) return fixedEpoch;
+    return gribLimits ? gribLimits.epochStart : NaN;
+  }
+
+  /**
+   * Whether the loaded GRIB field has the component needed by an overlay.
+   * @param {"none"|"tws"|"gust"|"waves"} kind
+   * @returns {boolean}
+   */
+  function overlayAvailable(kind) {
+    const def = OVERLAYS[kind];
+    if (!def || !def.needs) return true;
+    return !!(dataGrib && typeof dataGrib.shortnames === "string" && dataGrib.shortnames.includes(def.needs));
+  }
+
   /**
    * Whether wind layer has everything needed to draw.
    * @returns {boolean}
    */
   function ready() {
-    return !!(map && windCanvas && gribLimits && dataGrib && dataGrib.getUVGW);
+    return !!(map && windCanvas && gribLimits && dataGrib && dataGrib.sampleAt);
   }
 
   /**
@@ -136,12 +295,16 @@ window.windLayer = (function makeWindLayer() {
     const cellSize = 25; // px
     const usedCells = new Set();
 
-    // Choose time
-    const currentEpoch = routeState
-      ? (routeState.t0Epoch + routeState.k * routeState.dtRoute)
-      : gribLimits.epochStart;
+    // Choose time (wind is interpolated between GRIB time stamps)
+    const currentEpoch = getEpoch();
 
-    const iTimeStamp = getGribTimeIndexFromEpoch(currentEpoch);
+    drawOverlay(topLeft, currentEpoch);
+
+    if (mode === "particles") {
+      buildFlowGrid(topLeft, currentEpoch);
+      if (!animId) animId = requestAnimationFrame(animate);
+      return;
+    }
 
     for (let iLat = 0; iLat < nLat; iLat += stride) {
       const lat = bottomLat + iLat * latStep;
@@ -155,7 +318,9 @@ window.windLayer = (function makeWindLayer() {
           continue;
         }
 
-        const { u, v } = dataGrib.getUVGW(iTimeStamp, iLat, iLon);
+        const wind = dataGrib.sampleAt(lat, lon, currentEpoch);
+        if (!wind) continue;
+        const { u, v } = wind;
 
         const pt = map.latLngToLayerPoint([lat, lon]);
         const x = pt.x - topLeft.x;
@@ -174,6 +339,221 @@ window.windLayer = (function makeWindLayer() {
     }
   }
 
+  /* =========================================================
+     Overlay (colored cells + labels)
+     ========================================================= */
+
+  /**
+   * Fill heatCanvas (same geometry as windCanvas) with the selected overlay colors,
+   * then write rounded values on a sparse grid.
+   * GRIB is sampled once per HEAT_BLOCK_PX block into a small image, then scaled up smoothed.
+   *
+   * @param {L.Point} topLeft - layer point of the canvas top-left corner
+   * @param {number} epoch
+   * @returns {void}
+   */
+  function drawOverlay(topLeft, epoch) {
+    if (!heatCanvas) return;
+    const def = (overlay !== "none" && overlayAvailable(overlay)) ? OVERLAYS[overlay] : null;
+    updateLegend(def);
+
+    L.DomUtil.setPosition(heatCanvas, topLeft);
+    heatCanvas.width = windCanvas.width;
+    heatCanvas.height = windCanvas.height;
+    const ctx = heatCanvas.getContext("2d");
+    ctx.clearRect(0, 0, heatCanvas.width, heatCanvas.height);
+    if (!def) return;
+
+    const rgbs = SCALE_RGB.get(def.scale);
+    const sampleValue = (x, y) => {
+      const ll = map.layerPointToLatLng([topLeft.x + x, topLeft.y + y]);
+      const w = dataGrib.sampleAt(ll.lat, ll.lng, epoch);
+      return w ? def.value(w) : NaN;
+    };
+
+    const cols = Math.ceil(heatCanvas.width / HEAT_BLOCK_PX) + 1;
+    const rows = Math.ceil(heatCanvas.height / HEAT_BLOCK_PX) + 1;
+    const img = new ImageData(cols, rows);
+
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const x = sampleValue(c * HEAT_BLOCK_PX, r * HEAT_BLOCK_PX);
+        if (!Number.isFinite(x)) continue;
+        const rgb = rgbs[scaleIndex(def.scale, x)];
+        const i = (r * cols + c) * 4;
+        img.data[i] = rgb[0];
+        img.data[i + 1] = rgb[1];
+        img.data[i + 2] = rgb[2];
+        img.data[i + 3] = HEAT_ALPHA;
+      }
+    }
+
+    const small = document.createElement("canvas");
+    small.width = cols;
+    small.height = rows;
+    small.getContext("2d").putImageData(img, 0, 0);
+
+    // Pixel (c, r) is drawn centred on its sample point (c, r) * HEAT_BLOCK_PX
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(small, -HEAT_BLOCK_PX / 2, -HEAT_BLOCK_PX / 2, cols * HEAT_BLOCK_PX, rows * HEAT_BLOCK_PX);
+
+    // Value labels
+    ctx.font = "bold 11px sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "rgba(255,255,255,0.9)";
+    ctx.fillStyle = "#111827";
+    for (let y = LABEL_PX / 2; y < heatCanvas.height; y += LABEL_PX) {
+      for (let x = LABEL_PX / 2; x < heatCanvas.width; x += LABEL_PX) {
+        const val = sampleValue(x, y);
+        if (!Number.isFinite(val)) continue;
+        const txt = val.toFixed(def.digits);
+        ctx.strokeText(txt, x, y);
+        ctx.fillText(txt, x, y);
+      }
+    }
+  }
+
+  /**
+   * Show overlay legend (scale bands with their lower bound) or hide it.
+   * Beaufort bands are prefixed with their force.
+   * @param {OverlayDef|null} def - null hides the legend
+   * @returns {void}
+   */
+  function updateLegend(def) {
+    const el = document.getElementById("windLegend");
+    if (!el) return;
+    el.style.display = def ? "" : "none";
+    if (!def) return;
+
+    const sc = def.scale;
+    el.innerHTML = `<div class="legendTitle">${def.title}</div>` + sc.map((b, i) => `
+      <div class="legendRow">
+        <span class="legendSwatch" style="background:${b.color};"></span>
+        <span>${sc === BEAUFORT ? `F${i} ` : ""}${i === 0 ? 0 : sc[i - 1].max}+</span>
+      </div>`).join("");
+  }
+
+  /* =========================================================
+     Particles mode
+     ========================================================= */
+
+  /**
+   * Sample wind on a regular screen grid covering windCanvas, for time `epoch`.
+   * Cells outside the GRIB stay NaN.
+   *
+   * @param {L.Point} topLeft - layer point of the canvas top-left corner
+   * @param {number} epoch
+   * @returns {void}
+   */
+  function buildFlowGrid(topLeft, epoch) {
+    const cols = Math.ceil(windCanvas.width / FLOW_GRID_PX) + 1;
+    const rows = Math.ceil(windCanvas.height / FLOW_GRID_PX) + 1;
+    const u = new Float32Array(cols * rows).fill(NaN);
+    const v = new Float32Array(cols * rows).fill(NaN);
+
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const ll = map.layerPointToLatLng([topLeft.x + c * FLOW_GRID_PX, topLeft.y + r * FLOW_GRID_PX]);
+        const wind = dataGrib.sampleAt(ll.lat, ll.lng, epoch);
+        if (!wind) continue;
+        u[r * cols + c] = wind.u;
+        v[r * cols + c] = wind.v;
+      }
+    }
+    flow = { cols, rows, u, v };
+  }
+
+  /**
+   * Wind (m/s) at canvas pixel (x, y), nearest flow grid cell.
+   * @param {number} x
+   * @param {number} y
+   * @returns {{u:number, v:number}|null}
+   */
+  function flowAt(x, y) {
+    const c = Math.round(x / FLOW_GRID_PX);
+    const r = Math.round(y / FLOW_GRID_PX);
+    if (c < 0 || r < 0 || c >= flow.cols || r >= flow.rows) return null;
+    const i = r * flow.cols + c;
+    return Number.isNaN(flow.u[i]) ? null : { u: flow.u[i], v: flow.v[i] };
+  }
+
+  /**
+   * (Re)spawn a particle at a random canvas position.
+   * @param {{x:number, y:number, age:number}} p
+   * @returns {void}
+   */
+  function spawn(p) {
+    p.x = Math.random() * windCanvas.width;
+    p.y = Math.random() * windCanvas.height;
+    p.age = Math.floor(Math.random() * PARTICLE_MAX_AGE);
+  }
+
+  /**
+   * One animation frame: fade previous trails, move particles along the flow,
+   * draw new segments batched by Beaufort color.
+   * @returns {void}
+   */
+  function animate() {
+    animId = null;
+    if (mode !== "particles" || !flow) return;
+
+    const ctx = windCanvas.getContext("2d");
+    const w = windCanvas.width;
+    const h = windCanvas.height;
+
+    if (particles.length === 0) {
+      particles = Array.from({ length: PARTICLE_COUNT }, () => ({ x: 0, y: 0, age: 0 }));
+      particles.forEach(spawn);
+    }
+
+    // Fade trails
+    ctx.globalCompositeOperation = "destination-in";
+    ctx.fillStyle = "rgba(0, 0, 0, 0.92)";
+    ctx.fillRect(0, 0, w, h);
+    ctx.globalCompositeOperation = "source-over";
+
+    const buckets = BEAUFORT.map(() => []);
+    for (const p of particles) {
+      const f = flowAt(p.x, p.y);
+      if (!f || p.age > PARTICLE_MAX_AGE || p.x < 0 || p.y < 0 || p.x > w || p.y > h) {
+        spawn(p);
+        p.age = 0;
+        continue;
+      }
+      const nx = p.x + f.u * PARTICLE_SPEED;
+      const ny = p.y - f.v * PARTICLE_SPEED;   // screen y goes down
+      buckets[beaufortForce(Math.hypot(f.u, f.v) * MS_TO_KN)].push(p.x, p.y, nx, ny);
+      p.x = nx;
+      p.y = ny;
+      p.age++;
+    }
+
+    ctx.lineWidth = 1.5;
+    buckets.forEach((segs, i) => {
+      if (segs.length === 0) return;
+      ctx.strokeStyle = BEAUFORT[i].color;
+      ctx.beginPath();
+      for (let j = 0; j < segs.length; j += 4) {
+        ctx.moveTo(segs[j], segs[j + 1]);
+        ctx.lineTo(segs[j + 2], segs[j + 3]);
+      }
+      ctx.stroke();
+    });
+
+    animId = requestAnimationFrame(animate);
+  }
+
+  /**
+   * Stop particles animation (e.g. during map pan/zoom). Next redraw() restarts it.
+   * @returns {void}
+   */
+  function pause() {
+    if (animId) cancelAnimationFrame(animId);
+    animId = null;
+  }
+
   /**
    * Draw a wind barb symbol at (x, y).
    * u, v are wind components in m/s (u: east-west, v: north-south).
@@ -288,6 +668,6 @@ window.windLayer = (function makeWindLayer() {
     }
   }
 
-  return { set, setRouteState, redraw };
+  return { set, getMeta, setRouteState, setEpoch, getEpoch, sampleAt, redraw, setMode, getMode, setOverlay, getOverlay, overlayAvailable, pause };
 })();
 